@@ -1,12 +1,257 @@
 #!/usr/bin/env node
+import { EOL } from 'os'
+import fs from 'fs/promises'
 import path from 'path'
+import { parseArgs } from 'util'
 import Octopus from '../lib/Octopus.js'
+import PluginArchive from '../lib/PluginArchive.js'
+import stripObject from '../utils/stripObject.js'
+
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  drift: 3
+}
+
+const COMMANDS = ['convert', 'convert-all', 'revert', 'watch', 'migrate', 'docs', 'theme']
+
+const HELP = `Usage: adapt-octopus <command> [dir] [options]
+       adapt-octopus --stdin --id <id> [options]
+
+Commands:
+  convert          convert a single plugin's legacy schema, where dir may also be
+                   a plugin .zip, .tgz or .tar.gz (the id is then read from the plugin)
+  convert-all      convert every plugin in a framework source directory
+                   (or the plugin in dir if it isn't a framework)
+  revert           rebuild a legacy properties.schema from JSON schemas
+  watch            reconvert plugins in dir whenever their legacy schema changes
+  migrate          update a framework's course content to match its plugins' JSON schemas,
+                   adding missing defaults and fixing simple type mismatches
+  docs             print markdown documentation of a plugin's attributes from its JSON schemas
+  theme            cross-check a theme's JSON schema variables against its LESS variables
+
+Options:
+  -i, --input <path>    legacy schema to convert, relative to dir (default: properties.schema)
+      --id <id>         the plugin's component/extension/menu/theme id (required by convert)
+  -o, --out-dir <dir>   where JSON schemas are written, relative to dir (default: schema)
+  -w, --write-strategy <strategy>
+                        what to do with existing JSON schemas: skip, overwrite,
+                        backup (keeps a .bak) or merge (default: skip)
+  -f, --force           convert plugins that already have JSON schemas, overwriting them
+                        unless another --write-strategy is given (or replace an
+                        existing properties.schema when reverting)
+  -e, --example         also generate an example.json from the converted schemas
+  -m, --manifest        also list the plugin's translatable fields in a translatable.json
+                        alongside the JSON schemas
+      --types           also write TypeScript declarations for the plugin's models
+                        alongside the JSON schemas
+  -t, --transformer <module>
+                        load SchemaNode transformers from a module (repeatable)
+      --fragment-dir <dir>
+                        resolve $refs to shared schema fragments from dir, relative
+                        to the plugin or framework dir (repeatable)
+      --factor-defs     move repeated structures into $defs, referencing them with $ref
+      --repack          when converting an archive, add the JSON schemas to it rather than
+                        writing them next to it
+      --course-dir <dir>
+                        the course content to migrate, relative to dir (default: src/course)
+      --log <file>      where migrate writes its change log, relative to dir
+                        (default: migration-log.json)
+      --update-readme   with docs, update the marked attributes region of the plugin's
+                        README.md rather than printing the documentation
+      --less <file>     with theme, a LESS file to read variables from, relative to dir
+                        (repeatable, default: less/_defaults/*.less)
+      --write-less <file>
+                        with theme, also write the schema's defaults as LESS variables to file
+  -n, --dry-run         convert and validate (or migrate) without writing anything
+      --check           compare conversions with the existing JSON schemas instead of writing them
+      --report <file>   write the conversion report to a JSON file
+      --json            print the conversion report as JSON, sending log messages to stderr
+      --stdin           read a legacy schema from stdin and print the JSON schemas to stdout,
+                        keyed by content type, without touching the filesystem
+      --ndjson          with --stdin, print one { type, schema } object per line instead
+  -q, --quiet           only print errors
+  -h, --help            show this help
+
+Exit codes:
+  ${EXIT_CODES.success}  success
+  ${EXIT_CODES.failure}  conversion failed (for any plugin)
+  ${EXIT_CODES.usage}  invalid usage
+  ${EXIT_CODES.drift}  --check (or theme) found differences`
+
+function parse () {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      input: { type: 'string', short: 'i' },
+      id: { type: 'string' },
+      'out-dir': { type: 'string', short: 'o' },
+      'write-strategy': { type: 'string', short: 'w' },
+      force: { type: 'boolean', short: 'f' },
+      example: { type: 'boolean', short: 'e' },
+      manifest: { type: 'boolean', short: 'm' },
+      types: { type: 'boolean' },
+      transformer: { type: 'string', short: 't', multiple: true },
+      'fragment-dir': { type: 'string', multiple: true },
+      'factor-defs': { type: 'boolean' },
+      'dry-run': { type: 'boolean', short: 'n' },
+      check: { type: 'boolean' },
+      repack: { type: 'boolean' },
+      'course-dir': { type: 'string' },
+      log: { type: 'string' },
+      'update-readme': { type: 'boolean' },
+      less: { type: 'string', multiple: true },
+      'write-less': { type: 'string' },
+      report: { type: 'string' },
+      json: { type: 'boolean' },
+      stdin: { type: 'boolean' },
+      ndjson: { type: 'boolean' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  })
+  let [command, dir, id] = positionals
+
+  // support the original `adapt-octopus <dir> [id]` form
+  if (command && !COMMANDS.includes(command)) {
+    [command, dir, id] = [positionals.length > 1 ? 'convert' : 'convert-all', ...positionals]
+  }
+  return { command, dir, values: { id, ...values } }
+}
+
+function getLogger ({ quiet, json, stdin }) {
+  if (quiet) return { log: () => {} }
+  if (json || stdin) return { log: (...args) => console.error(...args) }
+  return console
+}
+
+async function readStdin () {
+  let input = ''
+  for await (const chunk of process.stdin) input += chunk
+
+  try {
+    return JSON.parse(input)
+  } catch (e) {
+    throw (new Error(`Failed to parse legacy schema from stdin, ${e.message}`))
+  }
+}
+
+async function convertStdin (values) {
+  const outputSchemas = await Octopus.convertSchema(await readStdin(), stripObject({
+    inputId: values.id,
+    sourceFile: '<stdin>',
+    factorDefs: values['factor-defs'],
+    transformers: values.transformer && await Octopus.loadTransformers(values.transformer),
+    logger: getLogger(values)
+  }))
+  const output = values.ndjson
+    ? Object.entries(outputSchemas).map(([type, schema]) => JSON.stringify({ type, schema })).join(EOL)
+    : JSON.stringify(outputSchemas, null, 2)
+
+  process.stdout.write(output + EOL)
+  return EXIT_CODES.success
+}
 
 async function run () {
-  const opts = { cwd: path.resolve(process.argv[2]), inputId: process.argv[3] }
-  process.argv.length === 4
+  let args
+  try {
+    args = parse()
+  } catch (e) {
+    console.error(`${e.message}${EOL}${EOL}${HELP}`)
+    return EXIT_CODES.usage
+  }
+  const { command, dir = '.', values } = args
+
+  if (values.help) {
+    console.log(HELP)
+    return EXIT_CODES.success
+  }
+  if (values.stdin) {
+    if (values.id) return convertStdin(values)
+    console.error(`--stdin requires --id${EOL}${EOL}${HELP}`)
+    return EXIT_CODES.usage
+  }
+  if (!command) {
+    console.error(HELP)
+    return EXIT_CODES.usage
+  }
+  const isArchive = PluginArchive.isArchive(dir)
+
+  if (command === 'convert' && !values.id && !isArchive) {
+    console.error(`The convert command requires --id${EOL}${EOL}${HELP}`)
+    return EXIT_CODES.usage
+  }
+  try {
+    Octopus.checkWriteStrategy({ writeStrategy: values['write-strategy'], force: values.force })
+  } catch (e) {
+    console.error(`${e.message}${EOL}${EOL}${HELP}`)
+    return EXIT_CODES.usage
+  }
+  const opts = stripObject({
+    cwd: isArchive ? path.dirname(path.resolve(dir)) : path.resolve(dir),
+    inputPath: isArchive ? path.resolve(dir) : values.input,
+    inputId: values.id,
+    outputDir: values['out-dir'],
+    writeStrategy: values['write-strategy'],
+    force: values.force,
+    example: values.example,
+    manifest: values.manifest,
+    types: values.types,
+    transformers: values.transformer && await Octopus.loadTransformers(values.transformer),
+    fragmentDirs: values['fragment-dir'],
+    factorDefs: values['factor-defs'],
+    dryRun: values['dry-run'],
+    check: values.check,
+    repack: values.repack,
+    courseDir: values['course-dir'],
+    logPath: values.log,
+    updateReadme: values['update-readme'],
+    lessFiles: values.less,
+    lessOutputPath: values['write-less'],
+    logger: getLogger(values)
+  })
+
+  if (command === 'watch') {
+    const watcher = await Octopus.watch(opts)
+    await new Promise(resolve => process.once('SIGINT', resolve))
+    watcher.close()
+    return EXIT_CODES.success
+  }
+  if (command === 'theme') {
+    const { missingFromLess, missingFromSchema, mismatchedDefaults } = await Octopus.checkTheme(opts)
+    return missingFromLess.length || missingFromSchema.length || mismatchedDefaults.length ? EXIT_CODES.drift : EXIT_CODES.success
+  }
+  if (command === 'docs') {
+    const docs = await Octopus.docs(opts)
+    if (!values['update-readme']) process.stdout.write(docs)
+    return EXIT_CODES.success
+  }
+  if (command === 'migrate') {
+    await Octopus.migrate(opts)
+    return EXIT_CODES.success
+  }
+  if (command === 'revert') {
+    await Octopus.revert(opts)
+    return EXIT_CODES.success
+  }
+  const report = command === 'convert' || isArchive
     ? await Octopus.run(opts)
     : await Octopus.runRecursive(opts)
+
+  if (values.report) await fs.writeFile(path.resolve(values.report), JSON.stringify(report, null, 2) + EOL)
+  if (values.json) console.log(JSON.stringify(report, null, 2))
+
+  // the summary table isn't logged in quiet mode, but failures should still be seen
+  if (values.quiet) report.failed.forEach(({ pluginId, error }) => console.error(`${pluginId}: ${error}`))
+  if (report.failed.length) return EXIT_CODES.failure
+
+  return values.check && report.drift.length ? EXIT_CODES.drift : EXIT_CODES.success
 }
 
 run()
+  .then(code => { process.exitCode = code })
+  .catch(e => {
+    console.error(e.message)
+    process.exitCode = EXIT_CODES.failure
+  })
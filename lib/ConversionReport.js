@@ -0,0 +1,70 @@
+import { EOL } from 'os'
+import path from 'path'
+
+const STATUSES = ['converted', 'skipped', 'failed']
+
+export default class ConversionReport {
+  plugins = []
+
+  add (entry) {
+    this.plugins.push({ status: 'converted', outputPaths: [], warnings: [], drift: [], ...entry })
+    return this
+  }
+
+  get warnings () {
+    return this.plugins.flatMap(({ pluginId, inputPath, warnings }) => {
+      return warnings.map(w => ({ pluginId, inputPath, ...w }))
+    })
+  }
+
+  get drift () {
+    return this.plugins.flatMap(p => p.drift)
+  }
+
+  get converted () {
+    return this.plugins.filter(p => p.status === 'converted')
+  }
+
+  get skipped () {
+    return this.plugins.filter(p => p.status === 'skipped')
+  }
+
+  get failed () {
+    return this.plugins.filter(p => p.status === 'failed')
+  }
+
+  toTable () {
+    const rows = [
+      ['Plugin', 'Status', 'Details'],
+      // plugin ids aren't known for those skipped or failed before their metadata was read, so use folder names
+      ...this.plugins.map(p => [path.basename(path.dirname(p.inputPath)), p.status, ConversionReport.getDetails(p)])
+    ]
+    const widths = rows[0].map((heading, i) => Math.max(...rows.map(row => row[i].length)))
+    const lines = rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+    const totals = STATUSES.map(status => `${this[status].length} ${status}`).join(', ')
+
+    return [...lines, '', totals].join(EOL)
+  }
+
+  static getDetails ({ status, reason, error, warnings, drift }) {
+    if (status === 'failed') return error
+    if (status === 'skipped') return reason
+    return [
+      warnings.length && `${warnings.length} warning${warnings.length === 1 ? '' : 's'}`,
+      drift.length && `${drift.length} out-of-date schema${drift.length === 1 ? '' : 's'}`
+    ].filter(Boolean).join(', ')
+  }
+
+  toJSON () {
+    return {
+      summary: {
+        plugins: this.plugins.length,
+        converted: this.converted.length,
+        skipped: this.skipped.length,
+        failed: this.failed.length,
+        warnings: this.warnings.length
+      },
+      plugins: this.plugins
+    }
+  }
+}
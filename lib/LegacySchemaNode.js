@@ -0,0 +1,211 @@
+import unwrap from '../utils/unwrap.js'
+
+const MODEL_REFS = {
+  component: 'http://localhost/plugins/content/component/model.schema',
+  theme: 'http://localhost/plugins/content/theme/model.schema'
+}
+
+export default class LegacySchemaNode {
+  inputSchema
+
+  constructor (options) {
+    this.inputSchema = options.inputSchema
+    this.isRequired = options.isRequired
+    this.logger = options.logger
+
+    switch (options.nodeType) {
+      case 'root': {
+        const inputSchemas = options.inputSchemas
+        const locations = {}
+        let globals
+
+        for (const [type, schema] of Object.entries(inputSchemas)) {
+          const { properties = {}, required } = unwrap(schema)
+          const { _globals, ...otherProperties } = properties
+
+          if (_globals) globals = { ...globals, ...this.getGlobals(_globals) }
+          if (!Object.keys(otherProperties).length) continue
+
+          locations[type] = new LegacySchemaNode({
+            nodeType: 'properties',
+            inputSchema: { type: 'object', required, properties: otherProperties },
+            logger: this.logger
+          })
+        }
+
+        const legacySchema = {
+          type: 'object',
+          $schema: 'http://json-schema.org/draft-04/schema',
+          id: 'http://jsonschema.net'
+        }
+
+        if (inputSchemas.component) {
+          return {
+            ...legacySchema,
+            $ref: MODEL_REFS.component,
+            globals,
+            properties: locations.component?.properties
+          }
+        }
+        if (inputSchemas.theme) {
+          return {
+            ...legacySchema,
+            $ref: MODEL_REFS.theme,
+            globals,
+            properties: { variables: locations.theme?.properties }
+          }
+        }
+        return {
+          ...legacySchema,
+          globals,
+          properties: {
+            pluginLocations: {
+              type: 'object',
+              properties: locations
+            }
+          }
+        }
+      }
+      case 'properties':
+        return {
+          type: this.getType(),
+          title: this.inputSchema.type !== 'object' ? this.inputSchema.title : undefined,
+          legend: this.inputSchema.type === 'object' ? this.inputSchema.title : undefined,
+          help: this.inputSchema.description,
+          default: this.inputSchema.default,
+          enum: this.getEnumeratedValues(),
+          ...this.getAdaptOptions(),
+          ...this.getBackboneFormsOptions(),
+          items: this.getItems(),
+          properties: this.getProperties(),
+          ...this.inputSchema._unrecognisedFields
+        }
+    }
+  }
+
+  getGlobals (_globals) {
+    const properties = Object.values(_globals.properties || {}).reduce((a, { properties }) => {
+      return { ...a, ...properties }
+    }, {})
+
+    return new LegacySchemaNode({
+      nodeType: 'properties',
+      inputSchema: { type: 'object', properties },
+      logger: this.logger
+    }).properties
+  }
+
+  getType () {
+    const { type, isObjectId } = this.inputSchema
+
+    if (isObjectId && type === 'string' && !this.getEditor()?.startsWith('Asset')) return 'objectid'
+
+    return type
+  }
+
+  getEditor () {
+    const options = this.inputSchema._backboneForms
+    // split editors such as Asset:image are stored as { type, media } or { type, mode }
+    const editor = typeof options?.type === 'object' ? options.type : options
+
+    if (editor?.media || editor?.mode) return `${editor.type}:${editor.media || editor.mode}`
+    if (typeof editor === 'object') return editor.type
+    if (editor) return editor
+
+    switch (this.inputSchema.type) {
+      case 'string':
+        return this.inputSchema.isObjectId ? undefined : 'Text'
+      case 'number':
+        return 'Number'
+      case 'boolean':
+        return 'Checkbox'
+    }
+  }
+
+  getEnumeratedValues () {
+    if (this.getEditor() !== 'Select') return this.inputSchema.enum
+  }
+
+  getProperties () {
+    const originalProperties = this.inputSchema.properties
+
+    if (!originalProperties) return
+
+    const required = this.inputSchema.required || []
+
+    return Object.entries(originalProperties).reduce((a, [key, inputSchema]) => {
+      a[key] = new LegacySchemaNode({
+        nodeType: 'properties',
+        inputSchema,
+        isRequired: required.includes(key),
+        logger: this.logger
+      })
+
+      return a
+    }, {})
+  }
+
+  getItems () {
+    const items = this.inputSchema.items
+
+    if (items) return new LegacySchemaNode({ nodeType: 'properties', inputSchema: items, logger: this.logger })
+  }
+
+  getAdaptOptions () {
+    const { editorOnly, isSetting, translatable } = this.inputSchema._adapt || {}
+
+    return { editorOnly, isSetting, translatable }
+  }
+
+  getValidators (fallbacks) {
+    const { anyOf, pattern } = this.inputSchema
+    // optional fields accept an empty value alongside their format or pattern
+    const format = this.inputSchema.format || anyOf?.find(schema => schema.format)?.format
+    const regexp = pattern?.replace(/^\^\$\|/, '')
+    const validators = [
+      this.isRequired && 'required',
+      format === 'email' && 'email',
+      format === 'uri' && 'url',
+      regexp && { type: 'regexp', regexp },
+      ...fallbacks
+    ].filter(Boolean)
+
+    if (validators.length) return validators
+  }
+
+  getBackboneFormsOptions () {
+    const options = typeof this.inputSchema._backboneForms === 'object' ? this.inputSchema._backboneForms : {}
+    const editor = this.getEditor()
+    const {
+      type,
+      validators = [],
+      titleHTML,
+      editorClass,
+      editorAttrs,
+      fieldClass,
+      fieldAttrs,
+      confirmDelete,
+      ...editorOptions
+    } = options
+
+    if (editor?.includes(':')) {
+      delete editorOptions.media
+      delete editorOptions.mode
+    }
+
+    let inputType = editor
+    if (editor === 'Select') inputType = { type: editor, options: this.inputSchema.enum }
+    else if (Object.keys(editorOptions).length) inputType = { type: editor, ...editorOptions }
+
+    return {
+      inputType,
+      validators: this.getValidators(validators),
+      titleHTML,
+      editorClass,
+      editorAttrs,
+      fieldClass,
+      fieldAttrs,
+      confirmDelete
+    }
+  }
+}
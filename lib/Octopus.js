@@ -1,57 +1,614 @@
 import { EOL } from 'os'
+import { watch } from 'fs'
 import fs from 'fs/promises'
 import path from 'path'
+import { pathToFileURL } from 'url'
+import ConversionReport from './ConversionReport.js'
+import LegacySchemaNode from './LegacySchemaNode.js'
+import PluginArchive from './PluginArchive.js'
 import SchemaNode from './SchemaNode.js'
+import diffSchemas from '../utils/diffSchemas.js'
+import factorDefs from '../utils/factorDefs.js'
+import generateDocs from '../utils/generateDocs.js'
+import generateExample from '../utils/generateExample.js'
+import generateLessVariables from '../utils/generateLessVariables.js'
+import generateTypes from '../utils/generateTypes.js'
+import getThemeVariables from '../utils/getThemeVariables.js'
+import listTranslatableFields from '../utils/listTranslatableFields.js'
+import loadConfig from '../utils/loadConfig.js'
+import mergeSchemas from '../utils/mergeSchemas.js'
+import migrateContent from '../utils/migrateContent.js'
+import parseLessVariables from '../utils/parseLessVariables.js'
+import resolveRefs from '../utils/resolveRefs.js'
+import summariseChanges from '../utils/summariseChanges.js'
+import unwrap from '../utils/unwrap.js'
+import validateSchema from '../utils/validateSchema.js'
+
+const WRITE_STRATEGIES = ['skip', 'overwrite', 'backup', 'merge']
+
+const DOCS_MARKERS = ['<!-- adapt-octopus:attributes:start -->', '<!-- adapt-octopus:attributes:end -->']
+
+const PLUGIN_DIRS = ['src/components', 'src/extensions', 'src/menu', 'src/theme']
+
+const PLUGIN_TYPES = ['component', 'extension', 'menu', 'theme']
+
+// config.json is shared by all languages, the rest live in a folder per language
+const CONTENT_FILES = {
+  config: 'config.json',
+  course: 'course.json',
+  contentobject: 'contentObjects.json',
+  article: 'articles.json',
+  block: 'blocks.json',
+  component: 'components.json'
+}
 
 export default class Octopus {
+  static transformers = []
+
+  static registerTransformer (transformer) {
+    if (typeof transformer?.transform !== 'function') {
+      throw (new Error('Transformers must define a transform function'))
+    }
+    Octopus.transformers.push(transformer)
+  }
+
+  static async loadTransformers (modulePaths, cwd = process.cwd()) {
+    const transformers = []
+    for (const modulePath of modulePaths) {
+      const { default: exported } = await import(pathToFileURL(path.resolve(cwd, modulePath)))
+      for (const transformer of [exported].flat()) {
+        if (typeof transformer?.transform !== 'function') {
+          throw (new Error(`${modulePath} does not export a transformer with a transform function`))
+        }
+        transformers.push(transformer)
+      }
+    }
+    return transformers
+  }
+
+  // force replaces existing files unless told how else to write them
+  static checkWriteStrategy ({ writeStrategy, force }) {
+    if (writeStrategy === undefined) return
+    if (!WRITE_STRATEGIES.includes(writeStrategy)) {
+      throw (new Error(`Unknown write strategy ${writeStrategy}, expected one of ${WRITE_STRATEGIES.join(', ')}`))
+    }
+    if (force === true && writeStrategy === 'skip') {
+      throw (new Error('The skip write strategy can\'t be used with force'))
+    }
+  }
+
+  static async resolveOptions (opts) {
+    const cwd = opts.cwd || process.cwd()
+    const { transformers = [], ...config } = await loadConfig(cwd)
+    const fragmentDirs = opts.fragmentDirs || config.fragmentDirs
+    // checked up front so a bad strategy isn't reported as a failure of every plugin
+    Octopus.checkWriteStrategy({ ...config, ...opts })
+
+    return {
+      ...config,
+      ...opts,
+      // plugins are converted from their own directories, so fix shared paths to the project
+      ...(fragmentDirs && { fragmentDirs: fragmentDirs.map(d => path.resolve(cwd, d)) }),
+      transformers: [...await Octopus.loadTransformers(transformers, cwd), ...(opts.transformers || [])]
+    }
+  }
+
   static async run (opts) {
-    await new Octopus(opts).start()
+    opts = await Octopus.resolveOptions(opts)
+    if (PluginArchive.isArchive(opts.inputPath)) return Octopus.runArchive(opts)
+
+    if (opts.targetAttribute === undefined) {
+      const pluginDir = opts.cwd || path.dirname(path.resolve(opts.inputPath || 'properties.schema'))
+      try {
+        // agree with convert-all on the plugin's globals key
+        opts.targetAttribute = (await Octopus.getPluginMetadata(pluginDir, { log: () => {} })).targetAttribute
+      } catch (e) {
+        // schemas outside a plugin are converted by id alone
+      }
+    }
+    const octopus = new Octopus(opts)
+    await octopus.start()
+    return new ConversionReport().add(octopus.getReport())
   }
 
-  static async runRecursive (opts) {
-    const _recurse = async pluginDir => {
-      const hasNewSchemas = (await fs.readdir(path.join(pluginDir, 'schema'))).some(f => f.endsWith('.schema.json'))
-      if (hasNewSchemas && opts.force !== true) {
-        return
-      }
-      const bowerJson = JSON.parse(await fs.readFile(path.join(pluginDir, 'bower.json')))
-      const inputId = bowerJson.component || bowerJson.extension || bowerJson.menu || bowerJson.theme
-      const octopus = new Octopus({ ...opts, cwd: pluginDir, inputId })
+  static async runArchive ({ inputPath, repack = false, ...opts }) {
+    const { logger = console } = opts
+    const archive = new PluginArchive(path.resolve(opts.cwd || process.cwd(), inputPath))
+    try {
+      const pluginDir = await archive.extract()
+      // the extracted files are removed afterwards, so name them by their place in the archive
+      const archiveLogger = { log: message => logger.log(archive.toArchiveMessage(String(message))) }
+      let metadata
+      try {
+        metadata = await Octopus.getPluginMetadata(pluginDir, archiveLogger)
+      } catch (e) {
+        // a given id is enough to convert a plugin without metadata
+        if (!opts.inputId) throw e
+        metadata = { warnings: [] }
+      }
+      const octopus = new Octopus({
+        targetAttribute: metadata.targetAttribute,
+        ...opts,
+        inputId: opts.inputId || metadata.inputId,
+        inputPath: path.join(pluginDir, 'properties.schema'),
+        // schemas are written next to the archive unless they're being added to it
+        cwd: repack ? pluginDir : path.dirname(archive.filePath),
+        logger: archiveLogger
+      })
+      octopus.warnings.push(...metadata.warnings)
       await octopus.start()
+
+      if (repack && !opts.dryRun && !opts.check) {
+        await archive.repack()
+        logger.log(`${archive.filePath} repacked with converted JSON schemas`)
+      }
+      const { warnings, outputPaths, ...report } = octopus.getReport()
+      return new ConversionReport().add({
+        ...report,
+        inputPath: archive.toArchivePath(octopus.inputPath),
+        outputPaths: outputPaths.map(p => archive.toArchivePath(p)),
+        warnings: warnings.map(w => w.outputPath ? { ...w, outputPath: archive.toArchivePath(w.outputPath) } : w)
+      })
+    } finally {
+      await archive.cleanup()
     }
-    const { name } = JSON.parse(await fs.readFile(path.join(opts.cwd, 'package.json')))
-    if (name !== 'adapt_framework') {
-      return await _recurse(opts.cwd)
+  }
+
+  static async convertSchema (inputSchema, opts = {}) {
+    const octopus = new Octopus({ ...opts, cwd: opts.cwd || process.cwd() })
+    if (!octopus.inputId) throw (new Error('No ID specified'))
+    // schemas converted in memory come from no file, so are reported by content type
+    octopus.inputPath = undefined
+    octopus.sourceFile = opts.sourceFile
+
+    octopus.inputSchema = structuredClone(inputSchema)
+    await octopus.convert()
+    if (octopus.shouldValidate) octopus.validate()
+    return octopus.outputSchemas
+  }
+
+  static generateExample (outputSchemas, { inputId } = {}) {
+    return generateExample(outputSchemas, { inputId })
+  }
+
+  static generateTypes (outputSchemas, { inputId } = {}) {
+    return generateTypes(outputSchemas, { inputId })
+  }
+
+  static generateDocs (outputSchemas) {
+    return generateDocs(outputSchemas)
+  }
+
+  static listTranslatableFields (outputSchemas) {
+    return listTranslatableFields(outputSchemas)
+  }
+
+  static revertSchemas (inputSchemas, { logger = console } = {}) {
+    const legacySchema = new LegacySchemaNode({ nodeType: 'root', inputSchemas, logger })
+    return JSON.parse(JSON.stringify(legacySchema))
+  }
+
+  static async revert (opts) {
+    const { cwd, outputDir = 'schema', force = false, logger = console } = await Octopus.resolveOptions(opts)
+    const schemaDir = path.resolve(cwd, outputDir)
+    const inputSchemas = await Octopus.readSchemas(schemaDir)
+
+    if (!Object.keys(inputSchemas).length) throw (new Error(`No JSON schemas found in ${schemaDir}`))
+
+    const outputPath = path.resolve(cwd, opts.outputPath || 'properties.schema')
+    if (!force) {
+      try {
+        await fs.access(outputPath)
+        return logger.log(`legacy schema already exists at ${outputPath}, skipping`)
+      } catch (e) {
+        // carry on
+      }
+    }
+    await fs.writeFile(outputPath, JSON.stringify(Octopus.revertSchemas(inputSchemas, { logger }), null, 2) + EOL)
+    logger.log(`legacy schema written to ${outputPath}`)
+  }
+
+  static async readSchemas (schemaDir) {
+    const schemas = {}
+    let files
+    try {
+      files = (await fs.readdir(schemaDir)).filter(f => f.endsWith('.schema.json')).sort()
+    } catch (e) {
+      return schemas
+    }
+    for (const f of files) {
+      const filePath = path.join(schemaDir, f)
+      const schema = JSON.parse(await fs.readFile(filePath, 'utf8'))
+      // inline anything factored into $defs, which sit alongside the properties referencing them
+      const inner = unwrap(schema)
+      Object.assign(inner, await resolveRefs(inner, { filePath }))
+      schemas[path.basename(f, '.schema.json')] = schema
+    }
+    return schemas
+  }
+
+  static async docs (opts) {
+    const { cwd, outputDir = 'schema', updateReadme = false, dryRun = false, logger = console } = await Octopus.resolveOptions(opts)
+    const schemaDir = path.resolve(cwd, outputDir)
+    const outputSchemas = await Octopus.readSchemas(schemaDir)
+
+    if (!Object.keys(outputSchemas).length) throw (new Error(`No JSON schemas found in ${schemaDir}`))
+
+    const docs = generateDocs(outputSchemas)
+    if (!updateReadme) return docs
+
+    const readmePath = path.resolve(cwd, 'README.md')
+    const readme = await fs.readFile(readmePath, 'utf8')
+    const [start, end] = DOCS_MARKERS.map(marker => readme.indexOf(marker))
+
+    if (start === -1 || end < start) {
+      throw (new Error(`${readmePath} has no ${DOCS_MARKERS.join(' ... ')} region to update`))
+    }
+    const updated = readme.slice(0, start + DOCS_MARKERS[0].length) + EOL + EOL + docs + EOL + readme.slice(end)
+
+    if (updated === readme) {
+      logger.log(`attribute documentation in ${readmePath} is up to date`)
+    } else if (dryRun) {
+      logger.log(`attribute documentation would be updated in ${readmePath}`)
+    } else {
+      await fs.writeFile(readmePath, updated)
+      logger.log(`attribute documentation updated in ${readmePath}`)
+    }
+    return docs
+  }
+
+  static async checkTheme (opts) {
+    const { cwd, outputDir = 'schema', lessFiles, lessOutputPath, dryRun = false, logger = console } = await Octopus.resolveOptions(opts)
+    const schemaPath = path.resolve(cwd, outputDir, 'theme.schema.json')
+    const { theme } = await Octopus.readSchemas(path.dirname(schemaPath))
+
+    if (!theme) throw (new Error(`No theme schema found at ${schemaPath}`))
+
+    const variables = getThemeVariables(theme)
+
+    if (lessOutputPath) {
+      const outputPath = path.resolve(cwd, lessOutputPath)
+      if (dryRun) {
+        logger.log(`LESS variables would be written to ${outputPath}`)
+      } else {
+        await fs.mkdir(path.dirname(outputPath), { recursive: true })
+        await fs.writeFile(outputPath, generateLessVariables(variables))
+        logger.log(`LESS variables written to ${outputPath}`)
+      }
     }
-    await Promise.all(['components', 'extensions', 'menu', 'theme'].map(async f => {
+    let lessPaths = lessFiles?.map(f => path.resolve(cwd, f))
+    if (!lessPaths) {
+      const defaultsDir = path.resolve(cwd, 'less/_defaults')
       try {
-        const dir = path.join(opts.cwd, 'src', f)
-        const contents = await fs.readdir(dir)
-        return await Promise.all(contents.map(async c => _recurse(path.join(dir, c))))
+        lessPaths = (await fs.readdir(defaultsDir)).filter(f => f.endsWith('.less')).sort().map(f => path.join(defaultsDir, f))
+      } catch (e) {
+        throw (new Error(`No LESS variables found in ${defaultsDir}`))
+      }
+    }
+    const lessVariables = {}
+    for (const lessPath of lessPaths) {
+      // a freshly generated file would always agree with the schema
+      if (lessOutputPath && lessPath === path.resolve(cwd, lessOutputPath)) continue
+      Object.assign(lessVariables, parseLessVariables(await fs.readFile(lessPath, 'utf8')))
+    }
+    const names = variables.map(v => v.name)
+    const result = {
+      missingFromLess: names.filter(name => !Object.hasOwn(lessVariables, name)),
+      missingFromSchema: Object.keys(lessVariables).filter(name => !names.includes(name)),
+      mismatchedDefaults: variables
+        .filter(v => v.default !== undefined && Object.hasOwn(lessVariables, v.name) && String(v.default) !== lessVariables[v.name])
+        .map(v => ({ name: v.name, schema: v.default, less: lessVariables[v.name] }))
+    }
+    result.missingFromLess.forEach(name => logger.log(`@${name} is in the theme schema but not in the LESS`))
+    result.missingFromSchema.forEach(name => logger.log(`@${name} is in the LESS but not in the theme schema`))
+    result.mismatchedDefaults.forEach(({ name, schema, less }) => logger.log(`@${name} defaults differ: ${JSON.stringify(schema)} in the theme schema, ${less} in the LESS`))
+
+    return result
+  }
+
+  static async migrate (opts) {
+    opts = await Octopus.resolveOptions(opts)
+    const { cwd, outputDir = 'schema', courseDir = 'src/course', logPath = 'migration-log.json', dryRun = false, logger = console } = opts
+    const plugins = []
+
+    for (const pluginDir of await Octopus.findPlugins(cwd, opts.pluginDirs)) {
+      const schemas = await Octopus.readSchemas(path.join(pluginDir, outputDir))
+      if (!Object.keys(schemas).length) continue
+
+      const { inputId, pluginType } = await Octopus.getPluginMetadata(pluginDir, { log: () => {} })
+      plugins.push({ inputId, pluginType, schemas })
+    }
+    const contentDir = path.resolve(cwd, courseDir)
+    const contentFiles = [['config', path.join(contentDir, CONTENT_FILES.config)]]
+
+    for (const entry of await fs.readdir(contentDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue
+      for (const [type, f] of Object.entries(CONTENT_FILES)) {
+        if (type !== 'config') contentFiles.push([type, path.join(contentDir, entry.name, f)])
+      }
+    }
+    const changeLog = {}
+
+    for (const [type, filePath] of contentFiles) {
+      let json
+      try {
+        json = await fs.readFile(filePath, 'utf8')
+      } catch (e) {
+        continue
+      }
+      const changes = []
+      const content = JSON.parse(json)
+      const migrated = [content].flat().map(item => {
+        for (const { inputId, pluginType, schemas } of plugins) {
+          const schema = schemas[type]
+          // a component's own schema only applies to that component, where other plugins' apply to every item
+          if (!schema || (type === 'component' && pluginType === 'component' && item._component !== inputId)) continue
+
+          const result = migrateContent(item, unwrap(schema))
+          changes.push(...result.changes.map(change => ({ _id: item._id, inputId, ...change })))
+          item = result.content
+        }
+        return item
+      })
+      if (!changes.length) continue
+
+      const relativePath = path.relative(cwd, filePath)
+      changeLog[relativePath] = changes
+
+      for (const { _id, path: propertyPath, value, expected } of changes.filter(c => c.action === 'mismatched')) {
+        logger.log(`${relativePath}: ${_id ? `${_id} ` : ''}${propertyPath} ${JSON.stringify(value)} is not a ${expected}, left unchanged`)
+      }
+      const edits = changes.filter(c => c.action !== 'mismatched').length
+      if (!edits) continue
+
+      if (dryRun) {
+        logger.log(`${relativePath}: ${edits} change${edits === 1 ? '' : 's'} would be made`)
+        continue
+      }
+      const indent = json.match(/^[ \t]+/m)?.[0] || 2
+      await fs.writeFile(filePath, JSON.stringify(Array.isArray(content) ? migrated : migrated[0], null, indent) + EOL)
+      logger.log(`${relativePath}: ${edits} change${edits === 1 ? '' : 's'} made`)
+    }
+    if (!dryRun && Object.keys(changeLog).length) {
+      const changeLogPath = path.resolve(cwd, logPath)
+      await fs.writeFile(changeLogPath, JSON.stringify(changeLog, null, 2) + EOL)
+      logger.log(`change log written to ${changeLogPath}`)
+    }
+    return changeLog
+  }
+
+  static async runRecursive (opts) {
+    opts = await Octopus.resolveOptions(opts)
+    const { logger = console } = opts
+    // check mode compares against the existing schemas and other write strategies update them, so never skip them
+    const canSkip = opts.check !== true && opts.force !== true && (opts.writeStrategy || 'skip') === 'skip'
+
+    const convertPlugin = async pluginDir => {
+      const entry = {
+        pluginId: path.basename(pluginDir),
+        inputPath: path.resolve(pluginDir, opts.inputPath || 'properties.schema')
+      }
+      try {
+        if (canSkip && await Octopus.hasSchemas(path.join(pluginDir, opts.outputDir || 'schema'))) {
+          return { ...entry, status: 'skipped', reason: 'already converted' }
+        }
+        try {
+          await fs.access(entry.inputPath)
+        } catch (e) {
+          return { ...entry, status: 'skipped', reason: `no ${path.basename(entry.inputPath)}` }
+        }
+        const { inputId, targetAttribute, warnings } = await Octopus.getPluginMetadata(pluginDir, logger)
+        entry.pluginId = inputId
+
+        const octopus = new Octopus({ ...opts, cwd: pluginDir, inputId, targetAttribute })
+        octopus.warnings.push(...warnings)
+        await octopus.start()
+
+        const result = octopus.getReport()
+        return Object.keys(octopus.outputSchemas).length ? result : { ...result, status: 'skipped', reason: 'no properties' }
+      } catch (e) {
+        return { ...entry, status: 'failed', error: e.message }
+      }
+    }
+    const pluginDirs = await Octopus.findPlugins(opts.cwd, opts.pluginDirs)
+    const report = new ConversionReport()
+    // plugins are isolated from each other's failures, so this never rejects
+    for (const entry of await Promise.all(pluginDirs.map(convertPlugin))) report.add(entry)
+
+    logger.log(report.toTable())
+    return report
+  }
+
+  static async hasSchemas (schemaDir) {
+    try {
+      return (await fs.readdir(schemaDir)).some(f => f.endsWith('.schema.json'))
+    } catch (e) {
+      return false
+    }
+  }
+
+  static async getPluginMetadata (pluginDir, logger = console) {
+    const files = {}
+    for (const f of ['bower.json', 'package.json']) {
+      try {
+        files[f] = JSON.parse(await fs.readFile(path.join(pluginDir, f), 'utf8'))
+      } catch (e) {
+        // either file may be missing
+      }
+    }
+    const getType = json => PLUGIN_TYPES.find(type => json?.[type])
+    const bowerJson = files['bower.json']
+    const packageJson = files['package.json']
+    const pluginType = getType(bowerJson) || getType(packageJson)
+    const inputId = getType(bowerJson) ? bowerJson[pluginType] : packageJson?.[pluginType]
+
+    if (!inputId) throw (new Error(`No plugin metadata found in bower.json or package.json in ${pluginDir}`))
+
+    const warnings = []
+    if (bowerJson && packageJson) {
+      for (const key of ['name', 'version', ...PLUGIN_TYPES, 'targetAttribute']) {
+        if (bowerJson[key] === packageJson[key] || packageJson[key] === undefined) continue
+        logger.log(`${inputId}: bower.json and package.json disagree on ${key} => ${JSON.stringify(bowerJson[key])}, ${JSON.stringify(packageJson[key])}`)
+        warnings.push({
+          code: 'METADATA_MISMATCH',
+          path: key,
+          action: 'retained',
+          value: { 'bower.json': bowerJson[key], 'package.json': packageJson[key] }
+        })
+      }
+    }
+    return {
+      inputId,
+      pluginType,
+      targetAttribute: bowerJson?.targetAttribute || packageJson?.targetAttribute,
+      warnings
+    }
+  }
+
+  static async findPlugins (cwd, dirs = PLUGIN_DIRS) {
+    const { name } = JSON.parse(await fs.readFile(path.join(cwd, 'package.json')))
+    if (name !== 'adapt_framework') return [cwd]
+
+    const pluginDirs = []
+    for (const f of dirs) {
+      const dir = path.join(cwd, f)
+      try {
+        pluginDirs.push(...(await fs.readdir(dir, { withFileTypes: true })).filter(d => d.isDirectory()).map(d => path.join(dir, d.name)))
       } catch (e) {}
-    }))
+    }
+    return pluginDirs
+  }
+
+  static async watch ({ delay = 100, ...opts }) {
+    opts = await Octopus.resolveOptions(opts)
+    const inputFile = path.basename(opts.inputPath || 'properties.schema')
+    const logger = opts.logger || console
+    const timeouts = {}
+    const watchers = []
+
+    const reconvert = async pluginDir => {
+      const { inputId, targetAttribute } = await Octopus.getPluginMetadata(pluginDir, { log: () => {} })
+      const octopus = new Octopus({ ...opts, cwd: pluginDir, inputId, targetAttribute, writeStrategy: 'overwrite', logger: { log: () => {} } })
+      const outputDir = path.resolve(pluginDir, octopus.outputDir)
+      const previousSchemas = {}
+      let files = []
+      try {
+        files = await fs.readdir(outputDir)
+      } catch (e) {
+        // nothing converted yet
+      }
+      for (const f of files.filter(f => f.endsWith('.schema.json'))) {
+        previousSchemas[path.basename(f, '.schema.json')] = JSON.parse(await fs.readFile(path.join(outputDir, f), 'utf8'))
+      }
+      await octopus.start()
+
+      for (const [type, outputSchema] of Object.entries(octopus.outputSchemas)) {
+        if (!previousSchemas[type]) {
+          logger.log(`${inputId}: created ${type} schema`)
+          continue
+        }
+        const { added, removed, changed } = summariseChanges(previousSchemas[type], outputSchema)
+        logger.log(`${inputId}: ${type} schema, ${added.length} added, ${removed.length} removed, ${changed.length} changed`)
+        added.forEach(p => logger.log(`  + ${p}`))
+        removed.forEach(p => logger.log(`  - ${p}`))
+        changed.forEach(p => logger.log(`  ~ ${p}`))
+      }
+    }
+
+    for (const pluginDir of await Octopus.findPlugins(opts.cwd, opts.pluginDirs)) {
+      watchers.push(watch(pluginDir, (eventType, filename) => {
+        if (filename !== inputFile) return
+        // editors often emit several events for a single save
+        clearTimeout(timeouts[pluginDir])
+        timeouts[pluginDir] = setTimeout(() => {
+          reconvert(pluginDir).catch(e => logger.log(`${path.basename(pluginDir)}: conversion failed, ${e.message}`))
+        }, delay)
+      }))
+    }
+    logger.log(`watching ${watchers.length} plugin(s) for changes to ${inputFile}`)
+
+    return {
+      close () {
+        Object.values(timeouts).forEach(clearTimeout)
+        watchers.forEach(w => w.close())
+      }
+    }
   }
 
   logger
   inputPath
+  sourceFile
   outputPath
+  outputDir
+  writeStrategy
+  skippedPaths
   inputId
+  targetAttribute
   inputSchema
   outputSchema
+  outputSchemas
+  check
+  example
+  manifest
+  types
+  dryRun
+  drift
+  shouldValidate
+  validationErrors
+  warnings
+  transformers
+  editors
+  ignoreFields
+  fragmentDirs
+  shouldFactorDefs
 
-  constructor ({ inputPath = 'properties.schema', inputId, cwd, logger = console }) {
-    this.cwd = cwd || path.basename(inputPath)
-    this.inputPath = path.resolve(cwd, inputPath)
+  constructor ({ inputPath = 'properties.schema', inputId, targetAttribute, cwd, outputDir = 'schema', force = false, writeStrategy = force ? 'overwrite' : 'skip', check = false, example = false, manifest = false, types = false, dryRun = false, validate = true, factorDefs: shouldFactorDefs = false, transformers = [], editors = {}, ignoreFields = [], fragmentDirs = [], logger = console }) {
+    Octopus.checkWriteStrategy({ writeStrategy, force })
+    this.cwd = cwd || path.dirname(path.resolve(inputPath))
+    this.inputPath = path.resolve(this.cwd, inputPath)
+    this.sourceFile = this.inputPath
+    this.outputDir = outputDir
+    this.writeStrategy = writeStrategy
+    this.skippedPaths = []
     this.inputId = inputId
+    this.targetAttribute = targetAttribute
+    this.check = check
+    this.example = example
+    this.manifest = manifest
+    this.types = types
+    this.dryRun = dryRun
     this.logger = logger
+    this.outputSchemas = {}
+    this.drift = []
+    this.shouldValidate = validate
+    this.shouldFactorDefs = shouldFactorDefs
+    this.validationErrors = {}
+    this.warnings = []
+    this.transformers = transformers
+    this.editors = editors
+    this.ignoreFields = ignoreFields
+    this.fragmentDirs = fragmentDirs.map(d => path.resolve(this.cwd, d))
   }
 
   async start () {
     if (!this.inputPath) throw (new Error('No input path specified'))
     if (!this.inputId) throw (new Error('No ID specified'))
 
-    this.inputSchema = JSON.parse(await fs.readFile(this.inputPath, 'utf8'))
+    this.inputSchema = await resolveRefs(JSON.parse(await fs.readFile(this.inputPath, 'utf8')), {
+      filePath: this.inputPath,
+      fragmentDirs: this.fragmentDirs
+    })
     await this.convert()
+    if (this.shouldValidate) this.validate()
+
+    for (const [type, outputSchema] of Object.entries(this.outputSchemas)) {
+      this.check
+        ? await this.compare(outputSchema, this.getOutputPath(type))
+        : await this.write(outputSchema, this.getOutputPath(type))
+    }
+    if (this.example && !this.check) await this.writeExample()
+    if (this.manifest && !this.check) await this.writeManifest()
+    if (this.types && !this.check) await this.writeTypes()
   }
 
   async convert () {
@@ -62,17 +619,21 @@ export default class Octopus {
       return
     }
     if (this.inputSchema.$ref === 'http://localhost/plugins/content/theme/model.schema') {
-      await this.construct('theme', { properties: properties.variables })
+      await this.construct('theme', { properties: properties.variables }, ['properties', 'variables'])
+      return
     }
     if (properties?.pluginLocations) return await this.iterateLocations()
+    if (!this.inputPath) {
+      throw (new Error('Unable to tell the content type of a schema without a component or theme $ref or pluginLocations'))
+    }
     await this.construct(path.basename(this.inputPath, '.model.schema'))
   }
 
   async iterateLocations () {
     const locations = this.inputSchema.properties.pluginLocations.properties
 
-    for (const location of Object.entries(locations)) {
-      await this.construct(...location)
+    for (const [type, schema] of Object.entries(locations)) {
+      await this.construct(type, schema, ['properties', 'pluginLocations', 'properties', type, 'properties'])
     }
 
     // ensure any globals are converted
@@ -81,7 +642,7 @@ export default class Octopus {
     }
   }
 
-  async construct (type, schema = this.inputSchema) {
+  async construct (type, schema = this.inputSchema, propertiesPointer = ['properties']) {
     const properties = schema.properties
 
     if (type !== 'course' || !(schema.globals || (schema.globals = this.inputSchema.globals))) {
@@ -89,29 +650,154 @@ export default class Octopus {
       delete schema.globals
     }
 
-    this.outputSchema = new SchemaNode({
+    const warnings = []
+    const outputSchema = new SchemaNode({
       nodeType: 'root',
       schemaType: type,
       inputId: this.inputId,
+      targetAttribute: this.targetAttribute,
       inputSchema: schema,
-      logger: this.logger
+      propertiesPointer,
+      sourceFile: this.sourceFile,
+      logger: this.logger,
+      warnings,
+      transformers: [...Octopus.transformers, ...this.transformers],
+      editors: this.editors,
+      ignoreFields: this.ignoreFields
     })
+    this.warnings.push(...warnings.map(w => this.inputPath ? { outputPath: this.getOutputPath(type), ...w } : w))
+
+    // round-trip to drop the undefined keywords left behind by SchemaNode
+    let output = JSON.parse(JSON.stringify(outputSchema))
+    if (this.shouldFactorDefs) output = factorDefs(output, { inputId: this.inputId })
+
+    this.outputSchema = this.outputSchemas[type] = output
+    this.outputPath = this.getOutputPath(type)
+  }
+
+  validate () {
+    for (const [type, outputSchema] of Object.entries(this.outputSchemas)) {
+      const errors = validateSchema(outputSchema)
+      if (!errors.length) continue
+
+      this.validationErrors[type] = errors
+      this.logger.log(`JSON schema validation failed for ${this.inputPath ? this.getOutputPath(type) : type}:`)
+      for (const { path, message } of errors) {
+        this.logger.log(`  ${path || '/'}: ${message}`)
+      }
+    }
+    if (Object.keys(this.validationErrors).length) {
+      throw (new Error(`Converted JSON schemas for ${this.inputId} failed validation`))
+    }
+  }
+
+  getReport () {
+    const outputPaths = Object.keys(this.outputSchemas)
+      .map(type => this.getOutputPath(type))
+      .filter(p => !this.skippedPaths.includes(p))
+    // every schema being left alone means nothing was actually converted
+    const isSkipped = !outputPaths.length && Object.keys(this.outputSchemas).length > 0
+
+    return {
+      pluginId: this.inputId,
+      inputPath: this.inputPath,
+      outputPaths,
+      status: isSkipped ? 'skipped' : 'converted',
+      ...(isSkipped && { reason: 'already converted' }),
+      warnings: this.warnings,
+      drift: this.drift
+    }
+  }
+
+  getOutputPath (type) {
+    return path.resolve(this.cwd, this.outputDir, `${type}.schema.json`)
+  }
+
+  async compare (outputSchema = this.outputSchema, outputPath = this.outputPath) {
+    let existingSchema
+    try {
+      existingSchema = JSON.parse(await fs.readFile(outputPath, 'utf8'))
+    } catch (e) {
+      this.drift.push({ inputId: this.inputId, outputPath, differences: [{ path: '', kind: 'missing' }] })
+      return this.logger.log(`JSON schema drift in ${outputPath}: file is missing or unreadable`)
+    }
+    const differences = diffSchemas(outputSchema, existingSchema)
+
+    if (!differences.length) return
+
+    this.drift.push({ inputId: this.inputId, outputPath, differences })
+    this.logger.log(`JSON schema drift in ${outputPath}:`)
+
+    for (const { path, kind, expected, actual } of differences) {
+      switch (kind) {
+        case 'added':
+          this.logger.log(`  + ${path}: ${JSON.stringify(expected)}`)
+          break
+        case 'removed':
+          this.logger.log(`  - ${path}: ${JSON.stringify(actual)}`)
+          break
+        case 'changed':
+          this.logger.log(`  ~ ${path}: ${JSON.stringify(actual)} => ${JSON.stringify(expected)}`)
+      }
+    }
+  }
+
+  async writeExample () {
+    const example = generateExample(this.outputSchemas, { inputId: this.inputId })
+    // existing examples are only ever topped up with new attributes when merging
+    const merge = (existing, generated) => ({ ...generated, ...existing })
 
-    this.outputPath = path.resolve(this.cwd, `schema/${type}.schema.json`)
-    await this.write()
+    await this.writeJson(example, path.resolve(this.cwd, 'example.json'), 'example', merge)
   }
 
-  async write () {
+  async writeManifest () {
+    const manifest = listTranslatableFields(this.outputSchemas)
+    // the manifest is derived entirely from the schemas, so is replaced rather than merged
+    await this.writeJson(manifest, path.resolve(this.cwd, this.outputDir, 'translatable.json'), 'translatable fields manifest')
+  }
+
+  async writeTypes () {
+    const types = generateTypes(this.outputSchemas, { inputId: this.inputId })
+    await this.writeFile(types, path.resolve(this.cwd, this.outputDir, `${this.inputId}.d.ts`), 'TypeScript declarations')
+  }
+
+  async write (outputSchema = this.outputSchema, outputPath = this.outputPath) {
+    await this.writeJson(outputSchema, outputPath, 'converted JSON schema', mergeSchemas)
+  }
+
+  async writeJson (data, outputPath, description, merge) {
+    const toJson = data => JSON.stringify(data, null, 2) + EOL
+    await this.writeFile(toJson(data), outputPath, description, merge && (existing => toJson(merge(JSON.parse(existing), data))))
+  }
+
+  // files without a merge function are replaced when merging
+  async writeFile (contents, outputPath, description, merge) {
+    let existingContents
     try {
-      return await fs.readFile(this.outputPath)
-      // return this.logger.log(`JSON schema already exists at ${this.outputPath}, exiting`);
+      existingContents = await fs.readFile(outputPath, 'utf8')
     } catch (e) {
       // carry on
     }
-    const json = JSON.stringify(this.outputSchema, null, 2) + EOL
+    const isMerge = existingContents !== undefined && this.writeStrategy === 'merge' && merge !== undefined
+
+    if (existingContents !== undefined) {
+      switch (this.writeStrategy) {
+        case 'skip':
+          this.skippedPaths.push(outputPath)
+          return this.logger.log(`${description} already exists at ${outputPath}, skipping`)
+        case 'backup':
+          if (!this.dryRun) await fs.writeFile(`${outputPath}.bak`, existingContents)
+          break
+        case 'merge':
+          if (isMerge) contents = merge(existingContents)
+      }
+    }
+    if (this.dryRun) return this.logger.log(`${description} would be written to ${outputPath}`)
 
-    await fs.mkdir(path.dirname(this.outputPath), { recursive: true })
-    await fs.writeFile(this.outputPath, json)
-    this.logger.log(`converted JSON schema written to ${this.outputPath}`)
+    await fs.mkdir(path.dirname(outputPath), { recursive: true })
+    await fs.writeFile(outputPath, contents)
+    this.logger.log(isMerge
+      ? `${description} merged into ${outputPath}`
+      : `${description} written to ${outputPath}`)
   }
 }
@@ -0,0 +1,95 @@
+import AdmZip from 'adm-zip'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import * as tar from 'tar'
+
+const FORMATS = {
+  zip: /\.zip$/i,
+  tgz: /\.(tgz|tar\.gz)$/i
+}
+
+const IGNORED_DIRS = ['node_modules', '__MACOSX']
+
+export default class PluginArchive {
+  filePath
+  format
+  extractDir
+  pluginDir
+
+  static getFormat (filePath) {
+    return Object.keys(FORMATS).find(format => FORMATS[format].test(filePath))
+  }
+
+  static isArchive (filePath) {
+    return typeof filePath === 'string' && PluginArchive.getFormat(filePath) !== undefined
+  }
+
+  constructor (filePath) {
+    this.filePath = path.resolve(filePath)
+    this.format = PluginArchive.getFormat(filePath)
+    if (!this.format) {
+      throw (new Error(`Unsupported archive ${filePath}, expected a .zip, .tgz or .tar.gz`))
+    }
+  }
+
+  async extract () {
+    this.extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'adapt-octopus-'))
+
+    if (this.format === 'zip') new AdmZip(this.filePath).extractAllTo(this.extractDir, true)
+    else await tar.x({ file: this.filePath, cwd: this.extractDir })
+
+    this.pluginDir = await this.findPluginRoot()
+    if (!this.pluginDir) throw (new Error(`No plugin with a properties.schema found in ${this.filePath}`))
+
+    return this.pluginDir
+  }
+
+  // the shallowest folder with a legacy schema and plugin metadata, e.g. package/ in npm tarballs
+  async findPluginRoot () {
+    let dirs = [this.extractDir]
+
+    while (dirs.length) {
+      const subdirs = []
+      for (const dir of dirs) {
+        const entries = await fs.readdir(dir, { withFileTypes: true })
+        const files = entries.filter(e => e.isFile()).map(e => e.name)
+
+        if (files.includes('properties.schema') && (files.includes('bower.json') || files.includes('package.json'))) {
+          return dir
+        }
+        subdirs.push(...entries.filter(e => e.isDirectory() && !IGNORED_DIRS.includes(e.name)).map(e => path.join(dir, e.name)))
+      }
+      dirs = subdirs
+    }
+  }
+
+  async repack () {
+    const tempPath = `${this.filePath}.tmp`
+
+    if (this.format === 'zip') {
+      const zip = new AdmZip()
+      zip.addLocalFolder(this.extractDir)
+      await zip.writeZipPromise(tempPath)
+    } else {
+      await tar.c({ gzip: true, portable: true, file: tempPath, cwd: this.extractDir }, await fs.readdir(this.extractDir))
+    }
+    await fs.rename(tempPath, this.filePath)
+  }
+
+  // maps a path inside the extracted archive to one relative to the archive itself, for reporting
+  toArchivePath (filePath) {
+    const relativePath = path.relative(this.extractDir, filePath)
+
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return filePath
+    return path.join(this.filePath, relativePath)
+  }
+
+  toArchiveMessage (message) {
+    return this.extractDir ? message.split(this.extractDir).join(this.filePath) : message
+  }
+
+  async cleanup () {
+    if (this.extractDir) await fs.rm(this.extractDir, { recursive: true, force: true })
+  }
+}
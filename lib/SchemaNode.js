@@ -1,17 +1,42 @@
 import stripObject from '../utils/stripObject.js'
 
+// the expression used by the backbone-forms number validator
+const NUMBER_PATTERN = '^[0-9]*\\.?[0-9]*?$'
+
 export default class SchemaNode {
   inputId
+  targetAttribute
   inputSchema
+  key
+  path
+  pointer
+  propertiesPointer
+  sourceFile
+  warnings
+  transformers
+  editors
+  ignoreFields
 
   constructor (options) {
     this.inputId = options.inputId
+    this.targetAttribute = options.targetAttribute
     this.inputSchema = options.inputSchema
+    this.key = options.key
     this.logger = options.logger
+    this.path = options.path || []
+    // where the node came from in the legacy schema, for diagnostics
+    this.pointer = options.pointer || []
+    this.sourceFile = options.sourceFile
+    this.warnings = options.warnings || []
+    this.transformers = options.transformers || []
+    this.editors = options.editors || {}
+    this.ignoreFields = options.ignoreFields || []
 
     switch (options.nodeType) {
       case 'root': {
         const type = options.schemaType
+        // plugin locations and theme variables keep their properties elsewhere in the legacy schema
+        this.propertiesPointer = options.propertiesPointer
         const isCore = type === this.inputId
         const isComponent = type === 'component'
         const isExtension = (!isCore || type !== 'config') && type !== 'theme'
@@ -36,40 +61,137 @@ export default class SchemaNode {
           ...schemaInner
         }
       }
-      case 'properties':
-        return {
+      case 'properties': {
+        const { format, pattern, anyOf } = this.translateValidators().keywords
+
+        return this.applyTransformers({
           type: this.inputSchema.type,
           isObjectId: this.getIsObjectId(),
-          title: this.getTitle(options.key),
+          title: this.getTitle(this.key),
           description: this.getDescription(),
           default: this.getDefault(),
           enum: this.getEnumeratedValues(),
+          format,
+          pattern,
+          anyOf,
           required: this.getRequiredFields(),
           items: this.getItems(),
           properties: this.getProperties(),
           _adapt: this.getAdaptOptions(),
           _backboneForms: this.getBackboneFormsOptions(),
           _unrecognisedFields: this.getUnrecognisedFields()
-        }
-      case 'items':{
-        const properties = this.getItemsProperties()
+        })
+      }
+      case 'items': {
+        // items without a type have always been treated as objects
+        if (!this.inputSchema.type) this.inputSchema = { type: 'object', ...this.inputSchema }
 
-        return {
-          type: properties ? this.getType() : 'object',
+        const { format, pattern, anyOf } = this.translateValidators().keywords
+
+        return this.applyTransformers({
+          type: this.getType(),
           isObjectId: this.getIsObjectId(),
-          properties
-        }
+          title: this.getTitle(),
+          description: this.getDescription(),
+          default: this.inputSchema.default,
+          enum: this.getEnumeratedValues(),
+          format,
+          pattern,
+          anyOf,
+          required: this.getRequiredFields(),
+          items: this.getItems(),
+          properties: this.getItemsProperties(),
+          _adapt: this.getAdaptOptions(),
+          _backboneForms: this.getBackboneFormsOptions(),
+          _unrecognisedFields: this.getUnrecognisedFields()
+        })
       }
     }
   }
 
+  createNode (options) {
+    return new SchemaNode({
+      inputId: this.inputId,
+      targetAttribute: this.targetAttribute,
+      logger: this.logger,
+      sourceFile: this.sourceFile,
+      warnings: this.warnings,
+      transformers: this.transformers,
+      editors: this.editors,
+      ignoreFields: this.ignoreFields,
+      ...options
+    })
+  }
+
+  warn (message, { code, value, action = 'retained' }) {
+    const pointer = this.getPointer()
+
+    this.logger.log(`${this.inputId ? `${this.inputId}: ` : ''}${message} (${this.sourceFile || ''}#${pointer})`)
+    this.warnings.push({
+      code,
+      path: this.getPropertyPath(),
+      pointer,
+      action,
+      value
+    })
+  }
+
+  getPointer () {
+    return this.pointer.map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('')
+  }
+
+  getPropertyPath () {
+    return this.path.join('.').replace(/\.\[\*\]/g, '[*]')
+  }
+
+  static matchesTransformer (transformer, values) {
+    return ['inputType', 'key', 'path'].every(criterion => {
+      const expected = transformer[criterion]
+      const value = values[criterion]
+
+      if (expected === undefined) return true
+      if (expected instanceof RegExp) return value !== undefined && expected.test(value)
+      if (typeof expected === 'function') return expected(value)
+      return [expected].flat().includes(value)
+    })
+  }
+
+  getTransformerContext () {
+    return {
+      key: this.key,
+      path: this.getPropertyPath(),
+      inputType: this.inputSchema.inputType?.type || this.inputSchema.inputType,
+      inputSchema: this.inputSchema,
+      inputId: this.inputId,
+      logger: this.logger
+    }
+  }
+
+  getMatchingTransformers () {
+    const context = this.getTransformerContext()
+    return this.transformers.filter(t => SchemaNode.matchesTransformer(t, context))
+  }
+
+  applyTransformers (outputNode) {
+    const context = this.getTransformerContext()
+    return this.getMatchingTransformers().reduce((node, transformer) => {
+      return transformer.transform(node, context) ?? node
+    }, outputNode)
+  }
+
   getItemsProperties () {
     const originalItems = this.inputSchema.properties
 
     if (!originalItems) return
 
     return Object.entries(originalItems).reduce((a, [key, inputSchema]) => {
-      a[key] = new SchemaNode({ nodeType: 'properties', key, inputSchema, logger: this.logger })
+      a[key] = this.createNode({
+        nodeType: 'properties',
+        key,
+        inputSchema,
+        path: [...this.path, key],
+        pointer: [...this.pointer, 'properties', key]
+      })
 
       return a
     }, {})
@@ -86,11 +208,12 @@ export default class SchemaNode {
 
     if (originalGlobals) {
       for (const [key, inputSchema] of Object.entries(originalGlobals)) {
-        globals[key] = new SchemaNode({
+        globals[key] = this.createNode({
           nodeType: 'properties',
           key,
           inputSchema,
-          logger: this.logger
+          path: [...this.path, '_globals', this.getGlobalsKey(), key],
+          pointer: ['globals', key]
         })
       }
 
@@ -98,7 +221,7 @@ export default class SchemaNode {
         type: 'object',
         default: {},
         properties: {
-          [`_${this.inputId}`]: {
+          [this.getGlobalsKey()]: {
             type: 'object',
             default: {},
             properties: globals
@@ -108,12 +231,15 @@ export default class SchemaNode {
     }
 
     if (originalProperties) {
+      const propertiesPointer = this.propertiesPointer || [...this.pointer, 'properties']
+
       for (const [key, inputSchema] of Object.entries(originalProperties)) {
-        properties[key] = new SchemaNode({
+        properties[key] = this.createNode({
           nodeType: 'properties',
           key,
           inputSchema,
-          logger: this.logger
+          path: [...this.path, key],
+          pointer: [...propertiesPointer, key]
         })
       }
     }
@@ -121,6 +247,10 @@ export default class SchemaNode {
     return properties
   }
 
+  getGlobalsKey () {
+    return this.targetAttribute ? `_${this.targetAttribute.replace(/^_/, '')}` : `_${this.inputId}`
+  }
+
   getType () {
     const type = this.inputSchema.type
 
@@ -132,7 +262,7 @@ export default class SchemaNode {
 
     if (title) return title
     if (legend) return legend
-    if (key === 'pluginLocations') return
+    if (key === undefined || key === 'pluginLocations') return
 
     key = key.replace(/_/g, '').replace(/[A-Z]/g, ' $&').toLowerCase()
 
@@ -151,8 +281,22 @@ export default class SchemaNode {
     const originalDefault = this.inputSchema.default
 
     if (originalDefault !== undefined) return originalDefault
-    if (this.inputSchema.required || this.inputSchema.validators?.includes('required')) return
+    if (this.getIsRequired()) return
+
+    const enumeratedValues = this.getEnumeratedValues()
+    const emptyValue = this.getEmptyValue()
+
+    // a select starts on its first option when the empty value isn't one of them
+    if (enumeratedValues?.length && !enumeratedValues.includes(emptyValue)) return enumeratedValues[0]
 
+    return emptyValue
+  }
+
+  getIsRequired () {
+    return Boolean(this.inputSchema.required || this.inputSchema.validators?.includes('required'))
+  }
+
+  getEmptyValue () {
     switch (this.inputSchema.type) {
       case 'string':
         return ''
@@ -169,7 +313,7 @@ export default class SchemaNode {
   }
 
   getEnumeratedValues () {
-    const { originalEnum, inputType } = this.inputSchema
+    const { enum: originalEnum = this.inputSchema.originalEnum, inputType } = this.inputSchema
 
     if (originalEnum) return originalEnum
     if (inputType?.type === 'Select') return inputType.options
@@ -194,7 +338,9 @@ export default class SchemaNode {
   getItems () {
     const items = this.inputSchema.items
 
-    if (items) return new SchemaNode({ nodeType: 'items', inputSchema: items, logger: this.logger })
+    if (items) {
+      return this.createNode({ nodeType: 'items', inputSchema: items, path: [...this.path, '[*]'], pointer: [...this.pointer, 'items'] })
+    }
   }
 
   getIsObjectId () {
@@ -204,6 +350,45 @@ export default class SchemaNode {
     if (isAsset || this.inputSchema.type === 'objectid') return true
   }
 
+  translateValidator (validator) {
+    // backbone-forms doesn't validate empty values, so optional fields must still accept them
+    const allowEmpty = !this.getIsRequired()
+    const toFormat = format => allowEmpty ? { anyOf: [{ const: '' }, { format }] } : { format }
+
+    switch (validator?.type || validator) {
+      case 'email':
+        return toFormat('email')
+      case 'url':
+        return toFormat('uri')
+      case 'number':
+        if (this.inputSchema.type === 'number') return {}
+        if (this.inputSchema.type === 'string') return { pattern: NUMBER_PATTERN }
+        break
+      case 'regexp':
+        if (typeof validator.regexp === 'string') return { pattern: allowEmpty ? `^$|${validator.regexp}` : validator.regexp }
+    }
+  }
+
+  translateValidators () {
+    const keywords = {}
+    const fallbacks = []
+
+    for (const validator of this.inputSchema.validators || []) {
+      if (validator === 'required') continue
+
+      const translated = this.translateValidator(validator)
+      const conflicts = translated && Object.entries(translated).some(([k, v]) => keywords[k] !== undefined && JSON.stringify(keywords[k]) !== JSON.stringify(v))
+
+      if (translated && !conflicts) {
+        Object.assign(keywords, translated)
+        continue
+      }
+      fallbacks.push(validator)
+    }
+
+    return { keywords, fallbacks }
+  }
+
   getAdaptOptions () {
     return stripObject({
       editorOnly: this.inputSchema.editorOnly,
@@ -227,13 +412,19 @@ export default class SchemaNode {
         'objectid'
       ]
 
-      const editor = options.type || inputType
+      const originalEditor = options.type || inputType
+      const editor = this.editors[originalEditor] ?? originalEditor
 
       if (!recognisedTypes.includes(type)) {
-        this.logger.log(`Unrecognised type => ${type}`)
+        this.warn(`Unrecognised type => ${type}`, { code: 'UNRECOGNISED_TYPE', value: type })
       }
 
-      if (editor === 'QuestionButton' ||
+      if (editor === 'QuestionButton') {
+        this.warn(`Dropped editor => ${editor}`, { code: 'DROPPED_EDITOR', value: editor, action: 'dropped' })
+        return
+      }
+
+      if (
         (type === 'string' && editor === 'Text') ||
         (type === 'number' && editor === 'Number') ||
         (type === 'boolean' && editor === 'Checkbox')) {
@@ -244,18 +435,14 @@ export default class SchemaNode {
     }
 
     const getValidators = () => {
-      let validators = this.inputSchema.validators
-
-      if (!validators) return
-
-      validators = this.inputSchema.validators.filter(validator => {
-        return validator === 'number'
-          ? inputType !== 'Number'
-          : validator !== 'required'
-      })
+      const validators = this.translateValidators().fallbacks
 
       if (!validators.length) return
 
+      for (const validator of validators) {
+        this.warn(`Untranslated validator => ${JSON.stringify(validator)}`, { code: 'UNTRANSLATED_VALIDATOR', value: validator })
+      }
+
       return validators
     }
 
@@ -315,11 +502,13 @@ export default class SchemaNode {
     ]
 
     const unrecognisedFields = {}
+    // legacy keys handled by a matching transformer aren't reported
+    const transformerKeys = this.getMatchingTransformers().flatMap(t => t.keywords || [])
 
     for (const [key, value] of Object.entries(this.inputSchema)) {
-      if (recognisedKeys.includes(key)) continue
+      if (recognisedKeys.includes(key) || transformerKeys.includes(key) || this.ignoreFields.includes(key)) continue
 
-      this.logger.log(`Unrecognised field => "${key}": ${JSON.stringify(value)}`)
+      this.warn(`Unrecognised field => "${key}": ${JSON.stringify(value)}`, { code: 'UNRECOGNISED_FIELD', value: { [key]: value } })
       unrecognisedFields[key] = value
     }
 
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { EOL } from 'node:os'
+import ConversionReport from '../lib/ConversionReport.js'
+
+const entry = (pluginId, warnings = [], drift = []) => ({
+  pluginId,
+  inputPath: `/${pluginId}/properties.schema`,
+  outputPaths: [`/${pluginId}/schema/component.schema.json`],
+  warnings,
+  drift
+})
+
+describe('ConversionReport', () => {
+  it('should collect plugin entries', () => {
+    const report = new ConversionReport().add(entry('a')).add(entry('b'))
+    assert.deepEqual(report.plugins.map(p => p.pluginId), ['a', 'b'])
+  })
+
+  it('should flatten warnings with their plugin id and input file', () => {
+    const warning = { code: 'UNRECOGNISED_FIELD', path: 'title', action: 'retained', value: { x: 1 } }
+    const report = new ConversionReport().add(entry('a', [warning]))
+    assert.deepEqual(report.warnings, [{ pluginId: 'a', inputPath: '/a/properties.schema', ...warning }])
+  })
+
+  it('should flatten drift', () => {
+    const drift = { inputId: 'a', outputPath: '/a/schema/component.schema.json', differences: [] }
+    const report = new ConversionReport().add(entry('a', [], [drift])).add(entry('b'))
+    assert.deepEqual(report.drift, [drift])
+  })
+
+  it('should serialise with a summary', () => {
+    const report = new ConversionReport().add(entry('a', [{ code: 'UNRECOGNISED_TYPE' }]))
+    const json = JSON.parse(JSON.stringify(report))
+    assert.deepEqual(json.summary, { plugins: 1, converted: 1, skipped: 0, failed: 0, warnings: 1 })
+    assert.equal(json.plugins[0].pluginId, 'a')
+  })
+
+  it('should group plugins by status', () => {
+    const report = new ConversionReport()
+      .add(entry('a'))
+      .add({ ...entry('b'), status: 'skipped', reason: 'already converted' })
+      .add({ pluginId: 'c', inputPath: '/c/properties.schema', status: 'failed', error: 'Oops' })
+    assert.deepEqual(report.converted.map(p => p.pluginId), ['a'])
+    assert.deepEqual(report.skipped.map(p => p.pluginId), ['b'])
+    assert.deepEqual(report.failed.map(p => p.pluginId), ['c'])
+    assert.deepEqual(report.failed[0].warnings, [])
+  })
+
+  it('should summarise plugins in a table', () => {
+    const report = new ConversionReport()
+      .add(entry('a', [{ code: 'UNRECOGNISED_TYPE' }, { code: 'UNRECOGNISED_FIELD' }]))
+      .add({ pluginId: 'long-name', inputPath: '/long-name/properties.schema', status: 'failed', error: 'Oops' })
+    assert.deepEqual(report.toTable().split(EOL), [
+      'Plugin     Status     Details',
+      'a          converted  2 warnings',
+      'long-name  failed     Oops',
+      '',
+      '1 converted, 0 skipped, 1 failed'
+    ])
+  })
+})
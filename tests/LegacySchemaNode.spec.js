@@ -0,0 +1,190 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import LegacySchemaNode from '../lib/LegacySchemaNode.js'
+import Octopus from '../lib/Octopus.js'
+
+const logger = { log: () => {} }
+
+describe('LegacySchemaNode', () => {
+  describe('constructor with nodeType: root (component)', () => {
+    let result
+
+    before(() => {
+      result = new LegacySchemaNode({
+        nodeType: 'root',
+        inputSchemas: {
+          course: {
+            $anchor: 'test-course',
+            type: 'object',
+            $patch: {
+              source: { $ref: 'course' },
+              with: {
+                properties: {
+                  _globals: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                      _test: {
+                        type: 'object',
+                        default: {},
+                        properties: {
+                          ariaRegion: { type: 'string', title: 'ARIA region', default: 'Test', _adapt: { translatable: true } }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          component: {
+            $anchor: 'test-component',
+            type: 'object',
+            $merge: {
+              source: { $ref: 'component' },
+              with: {
+                required: ['_graphic'],
+                properties: {
+                  _graphic: {
+                    type: 'string',
+                    isObjectId: true,
+                    title: 'Graphic',
+                    _backboneForms: { type: 'Asset', media: 'image' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        logger
+      })
+    })
+
+    it('should reference the component model schema', () => {
+      assert.equal(result.$ref, 'http://localhost/plugins/content/component/model.schema')
+    })
+
+    it('should extract globals from _globals', () => {
+      assert.deepEqual(Object.keys(result.globals), ['ariaRegion'])
+      assert.equal(result.globals.ariaRegion.translatable, true)
+    })
+
+    it('should convert required fields into validators', () => {
+      assert.deepEqual(result.properties._graphic.validators, ['required'])
+    })
+
+    it('should restore Asset editors from isObjectId and _backboneForms', () => {
+      assert.equal(result.properties._graphic.type, 'string')
+      assert.equal(result.properties._graphic.inputType, 'Asset:image')
+    })
+  })
+
+  describe('constructor with nodeType: root (extension)', () => {
+    it('should nest each schema type under pluginLocations', () => {
+      const result = new LegacySchemaNode({
+        nodeType: 'root',
+        inputSchemas: {
+          config: { $patch: { with: { properties: { _isEnabled: { type: 'boolean', default: false } } } } },
+          article: { $patch: { with: { properties: { _test: { type: 'object', title: 'Test', properties: {} } } } } }
+        },
+        logger
+      })
+      assert.deepEqual(Object.keys(result.properties.pluginLocations.properties), ['config', 'article'])
+      assert.equal(result.properties.pluginLocations.properties.article.properties._test.legend, 'Test')
+    })
+  })
+
+  describe('constructor with nodeType: properties', () => {
+    it('should map description to help', () => {
+      const node = new LegacySchemaNode({ nodeType: 'properties', inputSchema: { type: 'string', description: 'Help text' }, logger })
+      assert.equal(node.help, 'Help text')
+    })
+
+    it('should default inputType from type', () => {
+      const node = new LegacySchemaNode({ nodeType: 'properties', inputSchema: { type: 'boolean' }, logger })
+      assert.equal(node.inputType, 'Checkbox')
+    })
+
+    it('should turn enum with a Select editor into inputType options', () => {
+      const node = new LegacySchemaNode({
+        nodeType: 'properties',
+        inputSchema: { type: 'string', enum: ['a', 'b'], _backboneForms: 'Select' },
+        logger
+      })
+      assert.deepEqual(node.inputType, { type: 'Select', options: ['a', 'b'] })
+      assert.equal(node.enum, undefined)
+    })
+
+    it('should restore objectid types', () => {
+      const node = new LegacySchemaNode({ nodeType: 'properties', inputSchema: { type: 'string', isObjectId: true }, logger })
+      assert.equal(node.type, 'objectid')
+    })
+
+    it('should restore unrecognised fields', () => {
+      const node = new LegacySchemaNode({ nodeType: 'properties', inputSchema: { type: 'string', _unrecognisedFields: { custom: 1 } }, logger })
+      assert.equal(node.custom, 1)
+    })
+
+    it('should turn format and pattern back into validators', () => {
+      const node = new LegacySchemaNode({ nodeType: 'properties', inputSchema: { type: 'string', format: 'email', pattern: '^a' }, logger })
+      assert.deepEqual(node.validators, ['email', { type: 'regexp', regexp: '^a' }])
+      assert.equal(node.format, undefined)
+    })
+
+    it('should turn formats and patterns which allow empty values back into validators', () => {
+      const node = new LegacySchemaNode({ nodeType: 'properties', inputSchema: { type: 'string', anyOf: [{ const: '' }, { format: 'uri' }], pattern: '^$|^a' }, logger })
+      assert.deepEqual(node.validators, ['url', { type: 'regexp', regexp: '^a' }])
+      assert.equal(node.anyOf, undefined)
+    })
+
+    it('should keep editor options and validators', () => {
+      const node = new LegacySchemaNode({
+        nodeType: 'properties',
+        inputSchema: { type: 'string', _backboneForms: { type: 'TextArea', validators: ['email'], editorClass: 'x', rows: 4 } },
+        logger
+      })
+      assert.deepEqual(node.inputType, { type: 'TextArea', rows: 4 })
+      assert.deepEqual(node.validators, ['email'])
+      assert.equal(node.editorClass, 'x')
+    })
+  })
+
+  describe('round trip', () => {
+    it('should convert back to schemas equivalent to the original conversion', async () => {
+      const legacy = {
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        globals: {
+          ariaRegion: { type: 'string', default: 'Region', translatable: true }
+        },
+        properties: {
+          instruction: { type: 'string', default: '', inputType: 'Text', validators: [], help: 'Help', translatable: true },
+          _url: { type: 'string', default: '', inputType: 'Text', validators: ['url', { type: 'match', field: 'instruction' }] },
+          _isEnabled: { type: 'boolean', default: true, inputType: 'Checkbox' },
+          _layout: { type: 'string', default: 'left', inputType: { type: 'Select', options: ['left', 'right'] } },
+          _graphic: {
+            type: 'object',
+            legend: 'Graphic',
+            properties: {
+              src: { type: 'string', inputType: 'Asset:image', validators: ['required'] },
+              alt: { type: 'string', default: '', translatable: true }
+            }
+          },
+          _items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', default: '', inputType: 'Text', translatable: true }
+              }
+            }
+          }
+        }
+      }
+      const converted = await Octopus.convertSchema(legacy, { inputId: 'test', logger })
+      const reverted = Octopus.revertSchemas(converted, { logger })
+      const reconverted = await Octopus.convertSchema(reverted, { inputId: 'test', logger })
+
+      assert.deepEqual(reconverted, converted)
+    })
+  })
+})
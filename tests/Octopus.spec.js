@@ -1,6 +1,6 @@
 import { describe, it, before, after } from 'node:test'
 import assert from 'node:assert/strict'
-import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'node:fs'
+import { readFileSync, readdirSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'node:fs'
 import { join, dirname } from 'node:path'
 import { fileURLToPath } from 'node:url'
 import Octopus from '../lib/Octopus.js'
@@ -102,6 +102,25 @@ describe('Octopus', () => {
       await octopus.start()
       assert.deepEqual(octopus.inputSchema, schema)
     })
+
+    it('should resolve $refs before converting', async () => {
+      const cwd = join(testDir, 'refs')
+      mkdirSync(join(cwd, 'fragments'), { recursive: true })
+      writeFileSync(join(cwd, 'fragments', 'text.json'), JSON.stringify({ type: 'string', default: '', translatable: true }))
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { body: { $ref: 'text.json', title: 'Body' } }
+      }))
+      const octopus = new Octopus({ cwd, inputId: 'test-component', fragmentDirs: ['fragments'], dryRun: true, logger: { log: () => {} } })
+
+      await octopus.start()
+      assert.deepEqual(octopus.outputSchemas.component.$merge.with.properties.body, {
+        type: 'string',
+        title: 'Body',
+        default: '',
+        _adapt: { translatable: true }
+      })
+    })
   })
 
   describe('#convert()', () => {
@@ -155,6 +174,24 @@ describe('Octopus', () => {
       const themeSchemaPath = join(testDir, 'schema', 'theme.schema.json')
       assert.ok(existsSync(themeSchemaPath))
     })
+
+    it('should convert a theme to theme.schema.json only', async () => {
+      const cwd = join(testDir, 'theme-only')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/theme/model.schema',
+        properties: {
+          variables: {
+            _global: { type: 'object', properties: { 'font-color': { type: 'string', default: '#000' } } }
+          }
+        }
+      }))
+
+      const report = await Octopus.run({ cwd, inputId: 'vanilla', logger: { log: () => {} } })
+
+      assert.deepEqual(readdirSync(join(cwd, 'schema')), ['theme.schema.json'])
+      assert.deepEqual(report.warnings, [])
+    })
   })
 
   describe('#construct()', () => {
@@ -295,6 +332,93 @@ describe('Octopus', () => {
       assert.equal(content, existingContent)
     })
 
+    it('should overwrite existing schema with the overwrite strategy', async () => {
+      const cwd = join(testDir, 'overwrite')
+      const outputPath = join(cwd, 'schema', 'component.schema.json')
+      mkdirSync(dirname(outputPath), { recursive: true })
+      writeFileSync(outputPath, '{"existing": true}')
+
+      const octopus = new Octopus({ inputId: 'test-component', cwd, writeStrategy: 'overwrite', logger: { log: () => {} } })
+      await octopus.construct('component', { properties: { title: { type: 'string' } } })
+      await octopus.write()
+
+      assert.equal(JSON.parse(readFileSync(outputPath, 'utf8')).$anchor, 'test-component-component')
+    })
+
+    it('should keep a .bak of the existing schema with the backup strategy', async () => {
+      const cwd = join(testDir, 'backup')
+      const outputPath = join(cwd, 'schema', 'component.schema.json')
+      mkdirSync(dirname(outputPath), { recursive: true })
+      writeFileSync(outputPath, '{"existing": true}')
+
+      const octopus = new Octopus({ inputId: 'test-component', cwd, writeStrategy: 'backup', logger: { log: () => {} } })
+      await octopus.construct('component', { properties: { title: { type: 'string' } } })
+      await octopus.write()
+
+      assert.equal(readFileSync(`${outputPath}.bak`, 'utf8'), '{"existing": true}')
+      assert.equal(JSON.parse(readFileSync(outputPath, 'utf8')).$anchor, 'test-component-component')
+    })
+
+    it('should merge into the existing schema with the merge strategy', async () => {
+      const cwd = join(testDir, 'merge')
+      const outputPath = join(cwd, 'schema', 'component.schema.json')
+      mkdirSync(dirname(outputPath), { recursive: true })
+      writeFileSync(outputPath, JSON.stringify({
+        $anchor: 'test-component-component',
+        $defs: { custom: { type: 'string' } },
+        type: 'object',
+        $merge: {
+          source: { $ref: 'component' },
+          with: { properties: { title: { type: 'string', default: 'Old', description: 'Hand written' } } }
+        }
+      }))
+
+      const logs = []
+      const octopus = new Octopus({ inputId: 'test-component', cwd, writeStrategy: 'merge', logger: { log: (msg) => logs.push(msg) } })
+      await octopus.construct('component', {
+        properties: {
+          title: { type: 'string', default: 'New' },
+          body: { type: 'string' }
+        }
+      })
+      await octopus.write()
+
+      const output = JSON.parse(readFileSync(outputPath, 'utf8'))
+      assert.deepEqual(output.$defs, { custom: { type: 'string' } })
+      assert.equal(output.$merge.with.properties.title.default, 'New')
+      assert.equal(output.$merge.with.properties.title.description, 'Hand written')
+      assert.ok(output.$merge.with.properties.body)
+      assert.ok(logs.some(log => log.includes('converted JSON schema merged into')))
+    })
+
+    it('should overwrite existing schemas when forced', async () => {
+      const cwd = join(testDir, 'force')
+      const outputPath = join(cwd, 'schema', 'component.schema.json')
+      mkdirSync(dirname(outputPath), { recursive: true })
+      writeFileSync(outputPath, '{"old": true}')
+
+      const octopus = new Octopus({ inputId: 'test-component', cwd, force: true, logger: { log: () => {} } })
+      await octopus.construct('component', { properties: { title: { type: 'string' } } })
+      await octopus.write()
+
+      assert.equal(octopus.writeStrategy, 'overwrite')
+      assert.equal(JSON.parse(readFileSync(outputPath, 'utf8')).$anchor, 'test-component-component')
+    })
+
+    it('should reject force with the skip write strategy', () => {
+      assert.throws(
+        () => new Octopus({ inputId: 'test-component', cwd: testDir, force: true, writeStrategy: 'skip' }),
+        { message: 'The skip write strategy can\'t be used with force' }
+      )
+    })
+
+    it('should reject unknown write strategies', () => {
+      assert.throws(
+        () => new Octopus({ inputId: 'test-component', cwd: testDir, writeStrategy: 'replace' }),
+        { message: 'Unknown write strategy replace, expected one of skip, overwrite, backup, merge' }
+      )
+    })
+
     it('should log message when writing new schema', async () => {
       const inputPath = join(testDir, 'log-test.schema')
       const schema = {
@@ -320,6 +444,298 @@ describe('Octopus', () => {
     })
   })
 
+  describe('options', () => {
+    it('should write to outputDir', async () => {
+      const cwd = join(testDir, 'out-dir')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string' } }
+      }))
+
+      await Octopus.run({ inputId: 'test-component', cwd, outputDir: 'json', logger: { log: () => {} } })
+
+      assert.ok(existsSync(join(cwd, 'json', 'component.schema.json')))
+    })
+
+    it('should not write anything in dryRun mode', async () => {
+      const cwd = join(testDir, 'dry-run')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({ properties: { title: { type: 'string' } } }))
+
+      const logs = []
+      await Octopus.run({ inputId: 'test-component', cwd, dryRun: true, logger: { log: (msg) => logs.push(msg) } })
+
+      assert.equal(existsSync(join(cwd, 'schema')), false)
+      assert.ok(logs.some(log => log.includes('would be written to')))
+    })
+  })
+
+  describe('#writeExample()', () => {
+    it('should write example.json alongside the schemas', async () => {
+      const cwd = join(testDir, 'example')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string', default: 'Hello' } }
+      }))
+
+      await Octopus.run({ inputId: 'test-component', cwd, example: true, logger: { log: () => {} } })
+
+      const example = JSON.parse(readFileSync(join(cwd, 'example.json'), 'utf8'))
+      assert.equal(example._component, 'test-component')
+      assert.equal(example.title, 'Hello')
+    })
+  })
+
+  describe('#writeTypes()', () => {
+    it('should write TypeScript declarations alongside the schemas', async () => {
+      const cwd = join(testDir, 'types')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { body: { type: 'string' } }
+      }))
+
+      await Octopus.run({ inputId: 'test', cwd, types: true, logger: { log: () => {} } })
+
+      assert.match(readFileSync(join(cwd, 'schema', 'test.d.ts'), 'utf8'), /export interface TestComponentProperties \{\n {2}body\?: string\n\}/)
+    })
+  })
+
+  describe('#writeManifest()', () => {
+    it('should write translatable.json alongside the schemas', async () => {
+      const cwd = join(testDir, 'manifest')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        globals: { ariaRegion: { type: 'string', default: 'Items', translatable: true } },
+        properties: { body: { type: 'string', translatable: true } }
+      }))
+
+      await Octopus.run({ inputId: 'test-component', cwd, manifest: true, logger: { log: () => {} } })
+
+      const manifest = JSON.parse(readFileSync(join(cwd, 'schema', 'translatable.json'), 'utf8'))
+      assert.deepEqual(manifest, { component: ['body'], _globals: ['_test-component.ariaRegion'] })
+    })
+  })
+
+  describe('.convertSchema()', () => {
+    it('should return a map of converted schemas keyed by type', async () => {
+      const schemas = await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        globals: {
+          ariaRegion: { type: 'string', default: 'Region' }
+        },
+        properties: {
+          body: { type: 'string', default: '' }
+        }
+      }, { inputId: 'test-component', logger: { log: () => {} } })
+
+      assert.deepEqual(Object.keys(schemas), ['course', 'component'])
+      assert.equal(schemas.component.$anchor, 'test-component-component')
+      assert.ok(schemas.course.$patch.with.properties._globals)
+    })
+
+    it('should return plain JSON without undefined keywords', async () => {
+      const { component } = await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: {
+          body: { type: 'string' }
+        }
+      }, { inputId: 'test-component', logger: { log: () => {} } })
+
+      assert.deepEqual(component.$merge.with.properties.body, {
+        type: 'string',
+        title: 'Body',
+        default: ''
+      })
+    })
+
+    it('should convert selects without a default with validation on', async () => {
+      const { component } = await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: {
+          _align: { type: 'string', inputType: { type: 'Select', options: ['left', 'right'] } }
+        }
+      }, { inputId: 'test-component', logger: { log: () => {} } })
+
+      assert.equal(component.$merge.with.properties._align.default, 'left')
+    })
+
+    it('should not modify the input schema', async () => {
+      const schema = {
+        globals: { ariaRegion: { type: 'string' } },
+        properties: {
+          pluginLocations: {
+            type: 'object',
+            properties: {
+              config: { type: 'object', properties: { _isEnabled: { type: 'boolean' } } }
+            }
+          }
+        }
+      }
+      const original = structuredClone(schema)
+      await Octopus.convertSchema(schema, { inputId: 'test-extension', logger: { log: () => {} } })
+      assert.deepEqual(schema, original)
+    })
+
+    it('should not write any files', async () => {
+      const cwd = join(testDir, 'in-memory')
+      await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string' } }
+      }, { inputId: 'test-component', cwd, logger: { log: () => {} } })
+      assert.equal(existsSync(cwd), false)
+    })
+
+    it('should factor repeated structures into $defs when asked, keeping examples intact', async () => {
+      const graphic = { type: 'object', properties: { src: { type: 'string', inputType: 'Asset:image' }, alt: { type: 'string', default: '' } } }
+      const schemas = await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { _graphic: graphic, _feedback: { type: 'object', properties: { _graphic: graphic } } }
+      }, { inputId: 'test-component', factorDefs: true, logger: { log: () => {} } })
+      const { $defs, properties } = schemas.component.$merge.with
+
+      assert.deepEqual(Object.keys($defs), ['test-component-_graphic'])
+      assert.equal(properties._feedback.properties._graphic.$ref, '#/$defs/test-component-_graphic')
+      assert.deepEqual(Octopus.generateExample(schemas, { inputId: 'test-component' })._feedback, { _graphic: { src: '', alt: '' } })
+    })
+
+    it('should only name a source file in warnings when given one', async () => {
+      const convert = async opts => {
+        const logs = []
+        await Octopus.convertSchema({
+          $ref: 'http://localhost/plugins/content/component/model.schema',
+          properties: { title: { type: 'string', custom: 1 } }
+        }, { inputId: 'test-component', logger: { log: msg => logs.push(msg) }, ...opts })
+        return logs
+      }
+      assert.deepEqual(await convert(), ['test-component: Unrecognised field => "custom": 1 (#/properties/title)'])
+      assert.deepEqual(await convert({ sourceFile: '<stdin>' }), ['test-component: Unrecognised field => "custom": 1 (<stdin>#/properties/title)'])
+    })
+
+    it('should report by content type rather than by file', async () => {
+      const logs = []
+      const convert = () => Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { count: { type: 'number', default: '5', custom: 1 } }
+      }, { inputId: 'test-component', logger: { log: msg => logs.push(msg) } })
+
+      await assert.rejects(convert, { message: 'Converted JSON schemas for test-component failed validation' })
+      assert.ok(logs.includes('JSON schema validation failed for component:'))
+
+      const octopus = new Octopus({ inputId: 'test-component', logger: { log: () => {} } })
+      octopus.inputPath = undefined
+      octopus.inputSchema = { $ref: 'http://localhost/plugins/content/component/model.schema', properties: { title: { type: 'string', custom: 1 } } }
+      await octopus.convert()
+      assert.deepEqual(octopus.warnings.map(w => w.outputPath), [undefined])
+    })
+
+    it('should reject schemas whose content type can\'t be told', async () => {
+      await assert.rejects(
+        () => Octopus.convertSchema({ properties: { title: { type: 'string' } } }, { inputId: 'test', logger: { log: () => {} } }),
+        { message: 'Unable to tell the content type of a schema without a component or theme $ref or pluginLocations' }
+      )
+    })
+
+    it('should throw error if no ID specified', async () => {
+      await assert.rejects(
+        () => Octopus.convertSchema({ properties: {} }),
+        { message: 'No ID specified' }
+      )
+    })
+  })
+
+  describe('#validate()', () => {
+    it('should throw before writing anything when a converted schema is invalid', async () => {
+      const cwd = join(testDir, 'invalid')
+      const inputPath = join(cwd, 'properties.schema')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(inputPath, JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        globals: { ariaRegion: { type: 'string', default: '' } },
+        properties: { count: { type: 'number', default: 'ten' } }
+      }))
+
+      const logs = []
+      const octopus = new Octopus({ inputPath, inputId: 'test-component', cwd, logger: { log: (msg) => logs.push(msg) } })
+
+      await assert.rejects(() => octopus.start(), { message: 'Converted JSON schemas for test-component failed validation' })
+      assert.deepEqual(Object.keys(octopus.validationErrors), ['component'])
+      assert.ok(logs.some(log => log.includes('/$merge/with/properties/count: default "ten" does not match type number')))
+      assert.equal(existsSync(join(cwd, 'schema')), false)
+    })
+
+    it('should skip validation when disabled', async () => {
+      const schemas = await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { count: { type: 'number', default: 'ten' } }
+      }, { inputId: 'test-component', validate: false, logger: { log: () => {} } })
+      assert.ok(schemas)
+    })
+  })
+
+  describe('#compare()', () => {
+    const schema = {
+      $ref: 'http://localhost/plugins/content/component/model.schema',
+      properties: {
+        title: { type: 'string', default: 'Hello' }
+      }
+    }
+
+    it('should report no drift when the existing schema matches', async () => {
+      const cwd = join(testDir, 'check-match')
+      const inputPath = join(cwd, 'properties.schema')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(inputPath, JSON.stringify(schema))
+      await Octopus.run({ inputPath, inputId: 'test-component', cwd, logger: { log: () => {} } })
+
+      const { drift } = await Octopus.run({ inputPath, inputId: 'test-component', cwd, check: true, logger: { log: () => {} } })
+      assert.deepEqual(drift, [])
+    })
+
+    it('should report differences against the existing schema', async () => {
+      const cwd = join(testDir, 'check-drift')
+      const inputPath = join(cwd, 'properties.schema')
+      mkdirSync(join(cwd, 'schema'), { recursive: true })
+      writeFileSync(inputPath, JSON.stringify(schema))
+      writeFileSync(join(cwd, 'schema', 'component.schema.json'), JSON.stringify({
+        $anchor: 'test-component-component',
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        $merge: {
+          source: { $ref: 'component' },
+          with: { properties: { title: { type: 'string', title: 'Title', default: 'Goodbye' } } }
+        }
+      }))
+
+      const logs = []
+      const { drift } = await Octopus.run({ inputPath, inputId: 'test-component', cwd, check: true, logger: { log: (msg) => logs.push(msg) } })
+
+      assert.equal(drift.length, 1)
+      assert.deepEqual(drift[0].differences, [{
+        path: '$merge.with.properties.title.default',
+        kind: 'changed',
+        expected: 'Hello',
+        actual: 'Goodbye'
+      }])
+      assert.ok(logs.some(log => log.includes('$merge.with.properties.title.default: "Goodbye" => "Hello"')))
+    })
+
+    it('should report missing schema files without writing them', async () => {
+      const cwd = join(testDir, 'check-missing')
+      const inputPath = join(cwd, 'properties.schema')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(inputPath, JSON.stringify(schema))
+
+      const { drift } = await Octopus.run({ inputPath, inputId: 'test-component', cwd, check: true, logger: { log: () => {} } })
+
+      assert.equal(drift[0].differences[0].kind, 'missing')
+      assert.equal(existsSync(join(cwd, 'schema')), false)
+    })
+  })
+
   describe('.run()', () => {
     it('should be a static method', () => {
       assert.equal(typeof Octopus.run, 'function')
@@ -345,5 +761,526 @@ describe('Octopus', () => {
       const outputPath = join(testDir, 'schema', 'component.schema.json')
       assert.ok(existsSync(outputPath))
     })
+
+    it('should use the plugin\'s targetAttribute as convert-all does', async () => {
+      const cwd = join(testDir, 'run-target-attribute')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-contrib-pageLevelProgress', extension: 'pagelevelprogress', targetAttribute: '_pageLevelProgress' }))
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        globals: { label: { type: 'string', default: 'Label' } },
+        properties: { pluginLocations: { type: 'object', properties: {} } }
+      }))
+      const readCourse = () => JSON.parse(readFileSync(join(cwd, 'schema', 'course.schema.json'), 'utf8'))
+
+      await Octopus.run({ cwd, inputId: 'pagelevelprogress', logger: { log: () => {} } })
+      const converted = readCourse()
+      await Octopus.runRecursive({ cwd, force: true, logger: { log: () => {} } })
+
+      assert.ok(converted.$patch.with.properties._globals.properties._pageLevelProgress)
+      assert.deepEqual(converted, readCourse())
+    })
+  })
+
+  describe('#getReport()', () => {
+    it('should describe the plugin, its output files and any warnings', async () => {
+      const cwd = join(testDir, 'report')
+      const inputPath = join(cwd, 'properties.schema')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(inputPath, JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string', custom: 1 } }
+      }))
+
+      const report = await Octopus.run({ inputPath, inputId: 'test-component', cwd, logger: { log: () => {} } })
+
+      assert.equal(report.plugins.length, 1)
+      const [plugin] = report.plugins
+      assert.equal(plugin.pluginId, 'test-component')
+      assert.equal(plugin.inputPath, inputPath)
+      assert.deepEqual(plugin.outputPaths, [join(cwd, 'schema', 'component.schema.json')])
+      assert.deepEqual(plugin.warnings, [{
+        outputPath: join(cwd, 'schema', 'component.schema.json'),
+        code: 'UNRECOGNISED_FIELD',
+        path: 'title',
+        pointer: '/properties/title',
+        action: 'retained',
+        value: { custom: 1 }
+      }])
+    })
+
+    it('should locate warnings in plugin locations, globals and theme variables', async () => {
+      const convert = async (inputSchema, inputId, opts) => {
+        const cwd = join(testDir, `pointers-${inputId}`)
+        mkdirSync(cwd, { recursive: true })
+        writeFileSync(join(cwd, 'properties.schema'), JSON.stringify(inputSchema))
+        const logs = []
+        const report = await Octopus.run({ cwd, inputId, dryRun: true, logger: { log: msg => logs.push(msg) }, ...opts })
+        return { pointers: report.warnings.map(w => w.pointer), logs }
+      }
+      // the unrecognised type would otherwise fail validation
+      const extension = await convert({
+        globals: { label: { type: 'string', custom: 1 } },
+        properties: {
+          pluginLocations: {
+            type: 'object',
+            properties: {
+              article: { type: 'object', properties: { _test: { type: 'object', properties: { _items: { type: 'array', items: { type: 'foo' } } } } } }
+            }
+          }
+        }
+      }, 'test', { validate: false })
+      const theme = await convert({
+        $ref: 'http://localhost/plugins/content/theme/model.schema',
+        properties: { variables: { 'font-color': { type: 'string', custom: 1 } } }
+      }, 'theme')
+
+      assert.deepEqual(extension.pointers, [
+        '/properties/pluginLocations/properties/article/properties/_test/properties/_items/items',
+        '/globals/label'
+      ])
+      assert.ok(extension.logs.includes(`test: Unrecognised type => foo (${join(testDir, 'pointers-test', 'properties.schema')}#/properties/pluginLocations/properties/article/properties/_test/properties/_items/items)`))
+      assert.deepEqual(theme.pointers, ['/properties/variables/font-color'])
+    })
+  })
+
+  describe('.runRecursive()', () => {
+    it('should check plugins that already have schemas in check mode', async () => {
+      const cwd = join(testDir, 'recursive-check')
+      mkdirSync(join(cwd, 'schema'), { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-test' }))
+      writeFileSync(join(cwd, 'bower.json'), JSON.stringify({ component: 'test' }))
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string' } }
+      }))
+      writeFileSync(join(cwd, 'schema', 'component.schema.json'), '{}')
+
+      const { drift } = await Octopus.runRecursive({ cwd, check: true, logger: { log: () => {} } })
+
+      assert.equal(drift.length, 1)
+      assert.equal(drift[0].inputId, 'test')
+      assert.equal(readFileSync(join(cwd, 'schema', 'component.schema.json'), 'utf8'), '{}')
+    })
+
+    it('should convert plugins described only by package.json', async () => {
+      const cwd = join(testDir, 'recursive-package')
+      mkdirSync(join(cwd, 'schema'), { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-test', extension: 'test', targetAttribute: '_testing' }))
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        globals: { label: { type: 'string', default: 'Label' } },
+        properties: { pluginLocations: { type: 'object', properties: {} } }
+      }))
+
+      await Octopus.runRecursive({ cwd, logger: { log: () => {} } })
+
+      const course = JSON.parse(readFileSync(join(cwd, 'schema', 'course.schema.json'), 'utf8'))
+      assert.equal(course.$anchor, 'test-course')
+      assert.ok(course.$patch.with.properties._globals.properties._testing)
+    })
+
+    it('should convert each plugin independently, collecting failures and skips', async () => {
+      const cwd = join(testDir, 'recursive-framework')
+      const plugin = (name, schema, files = {}) => {
+        const dir = join(cwd, 'src', 'components', name)
+        mkdirSync(dir, { recursive: true })
+        writeFileSync(join(dir, 'bower.json'), JSON.stringify({ component: name }))
+        if (schema) writeFileSync(join(dir, 'properties.schema'), schema)
+        for (const [f, data] of Object.entries(files)) {
+          mkdirSync(dirname(join(dir, f)), { recursive: true })
+          writeFileSync(join(dir, f), data)
+        }
+      }
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt_framework' }))
+      plugin('broken', '{')
+      plugin('converted', JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string' } }
+      }))
+      plugin('empty', JSON.stringify({ $ref: 'http://localhost/plugins/content/component/model.schema', properties: {} }))
+      plugin('existing', '{}', { 'schema/component.schema.json': '{}' })
+      plugin('missing')
+
+      const logs = []
+      const report = await Octopus.runRecursive({ cwd, dryRun: true, logger: { log: msg => logs.push(msg) } })
+      const statuses = Object.fromEntries(report.plugins.map(p => [p.pluginId, [p.status, p.reason || p.error]]))
+
+      assert.equal(statuses.broken[0], 'failed')
+      assert.deepEqual(statuses.converted, ['converted', undefined])
+      assert.deepEqual(statuses.empty, ['skipped', 'no properties'])
+      assert.deepEqual(statuses.existing, ['skipped', 'already converted'])
+      assert.deepEqual(statuses.missing, ['skipped', 'no properties.schema'])
+      assert.ok(logs.at(-1).endsWith('1 converted, 3 skipped, 1 failed'))
+    })
+
+    it('should convert plugins which already have JSON schemas when forced, reporting skipped writes otherwise', async () => {
+      const cwd = join(testDir, 'recursive-force')
+      const outputPath = join(cwd, 'schema', 'component.schema.json')
+      mkdirSync(dirname(outputPath), { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-contrib-test', component: 'test' }))
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string' } }
+      }))
+      writeFileSync(outputPath, '{"old":true}')
+
+      const logs = []
+      const skipped = await Octopus.run({ cwd, inputId: 'test', logger: { log: msg => logs.push(msg) } })
+      assert.equal(skipped.plugins[0].status, 'skipped')
+      assert.deepEqual(skipped.plugins[0].outputPaths, [])
+      assert.ok(logs.includes(`converted JSON schema already exists at ${outputPath}, skipping`))
+
+      const forced = await Octopus.runRecursive({ cwd, force: true, logger: { log: () => {} } })
+      assert.equal(forced.plugins[0].status, 'converted')
+      assert.deepEqual(forced.plugins[0].outputPaths, [outputPath])
+      assert.equal(JSON.parse(readFileSync(outputPath, 'utf8')).$anchor, 'test-component')
+    })
+  })
+
+  describe('.resolveOptions()', () => {
+    it('should apply settings from .octopusrc.json, letting passed options win', async () => {
+      const cwd = join(testDir, 'config')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, '.octopusrc.json'), JSON.stringify({
+        outputDir: 'json',
+        writeStrategy: 'merge',
+        editors: { ColourPicker: 'ColorPicker' },
+        ignoreFields: ['_supportedLayout']
+      }))
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: {
+          colour: { type: 'string', inputType: 'ColourPicker', _supportedLayout: 'full-width' }
+        }
+      }))
+
+      const logs = []
+      await Octopus.run({ cwd, inputId: 'test-component', writeStrategy: 'overwrite', logger: { log: (msg) => logs.push(msg) } })
+
+      const output = JSON.parse(readFileSync(join(cwd, 'json', 'component.schema.json'), 'utf8'))
+      assert.deepEqual(output.$merge.with.properties.colour, {
+        type: 'string',
+        title: 'Colour',
+        default: '',
+        _backboneForms: 'ColorPicker'
+      })
+      assert.equal(logs.some(log => log.includes('Unrecognised field')), false)
+      const options = await Octopus.resolveOptions({ cwd, writeStrategy: 'overwrite' })
+      assert.equal(options.writeStrategy, 'overwrite')
+      assert.equal(options.outputDir, 'json')
+    })
+
+    it('should reject unknown write strategies before anything is converted', async () => {
+      await assert.rejects(
+        () => Octopus.runRecursive({ cwd: testDir, writeStrategy: 'nope', logger: { log: () => {} } }),
+        { message: 'Unknown write strategy nope, expected one of skip, overwrite, backup, merge' }
+      )
+    })
+
+    it('should load transformer modules named in the config', async () => {
+      const cwd = join(testDir, 'config-transformers')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'transformer.js'), 'export default { key: \'title\', transform: node => node }')
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ octopus: { transformers: ['transformer.js'] } }))
+
+      const { transformers } = await Octopus.resolveOptions({ cwd })
+
+      assert.equal(transformers[0].key, 'title')
+    })
+
+    it('should scan the configured plugin directories', async () => {
+      const cwd = join(testDir, 'config-dirs')
+      mkdirSync(join(cwd, 'plugins', 'adapt-a'), { recursive: true })
+      mkdirSync(join(cwd, 'src', 'components', 'adapt-b'), { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt_framework', octopus: { pluginDirs: ['plugins'] } }))
+
+      const { pluginDirs } = await Octopus.resolveOptions({ cwd })
+
+      assert.deepEqual(await Octopus.findPlugins(cwd, pluginDirs), [join(cwd, 'plugins', 'adapt-a')])
+    })
+
+    it('should resolve fragment directories against the project', async () => {
+      const cwd = join(testDir, 'config-fragments')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, '.octopusrc.json'), JSON.stringify({ fragmentDirs: ['schema-fragments'] }))
+
+      const { fragmentDirs } = await Octopus.resolveOptions({ cwd })
+
+      assert.deepEqual(fragmentDirs, [join(cwd, 'schema-fragments')])
+    })
+  })
+
+  describe('.docs()', () => {
+    it('should update the marked region of README.md', async () => {
+      const cwd = join(testDir, 'docs')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { body: { type: 'string', help: 'The body text' } }
+      }))
+      writeFileSync(join(cwd, 'README.md'), [
+        '# Test',
+        '<!-- adapt-octopus:attributes:start -->',
+        'Out of date',
+        '<!-- adapt-octopus:attributes:end -->',
+        'Footer'
+      ].join('\n'))
+      await Octopus.run({ inputId: 'test', cwd, logger: { log: () => {} } })
+
+      await Octopus.docs({ cwd, updateReadme: true, logger: { log: () => {} } })
+
+      const readme = readFileSync(join(cwd, 'README.md'), 'utf8')
+      assert.ok(readme.includes('- **body** (`string`, default `""`): The body text'))
+      assert.equal(readme.includes('Out of date'), false)
+      assert.ok(readme.endsWith('<!-- adapt-octopus:attributes:end -->\nFooter'))
+    })
+
+    it('should throw if README.md has no marked region', async () => {
+      const cwd = join(testDir, 'docs-unmarked')
+      mkdirSync(join(cwd, 'schema'), { recursive: true })
+      writeFileSync(join(cwd, 'schema', 'component.schema.json'), JSON.stringify({ type: 'object', properties: {} }))
+      writeFileSync(join(cwd, 'README.md'), '# Test')
+
+      await assert.rejects(() => Octopus.docs({ cwd, updateReadme: true }), /no .* region to update/)
+    })
+  })
+
+  describe('.checkTheme()', () => {
+    it('should report variables missing from the LESS or the schema, and differing defaults', async () => {
+      const cwd = join(testDir, 'theme')
+      mkdirSync(join(cwd, 'less', '_defaults'), { recursive: true })
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify({
+        $ref: 'http://localhost/plugins/content/theme/model.schema',
+        properties: {
+          variables: {
+            _global: {
+              type: 'object',
+              properties: {
+                'font-color': { type: 'string', default: '#000' },
+                'link-color': { type: 'string', default: '#00f' },
+                'max-width': { type: 'string', default: '1440px' }
+              }
+            }
+          }
+        }
+      }))
+      writeFileSync(join(cwd, 'less', '_defaults', '_colors.less'), '@font-color: #000;\n@link-color: #0000ff;\n@item-color: #eee;\n')
+      await Octopus.run({ inputId: 'theme', cwd, logger: { log: () => {} } })
+
+      const result = await Octopus.checkTheme({ cwd, lessOutputPath: 'less/_defaults/_schema.less', logger: { log: () => {} } })
+
+      assert.deepEqual(result, {
+        missingFromLess: ['max-width'],
+        missingFromSchema: ['item-color'],
+        mismatchedDefaults: [{ name: 'link-color', schema: '#00f', less: '#0000ff' }]
+      })
+      assert.match(readFileSync(join(cwd, 'less', '_defaults', '_schema.less'), 'utf8'), /@max-width: 1440px;/)
+    })
+  })
+
+  describe('.migrate()', () => {
+    it('should bring course content in line with converted schemas, logging every change', async () => {
+      const cwd = join(testDir, 'migrate')
+      const pluginDir = join(cwd, 'src', 'components', 'adapt-test')
+      const courseDir = join(cwd, 'src', 'course')
+      const writeJson = (filePath, data) => {
+        mkdirSync(dirname(filePath), { recursive: true })
+        writeFileSync(filePath, JSON.stringify(data, null, 2))
+      }
+      writeJson(join(cwd, 'package.json'), { name: 'adapt_framework' })
+      writeJson(join(pluginDir, 'bower.json'), { component: 'test' })
+      writeJson(join(pluginDir, 'properties.schema'), {
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        globals: { ariaRegion: { type: 'string', default: 'Test' } },
+        properties: { _columns: { type: 'number', default: 2 } }
+      })
+      writeJson(join(courseDir, 'config.json'), { _defaultLanguage: 'en' })
+      writeJson(join(courseDir, 'en', 'course.json'), { _id: 'course', title: 'Course' })
+      writeJson(join(courseDir, 'en', 'components.json'), [
+        { _id: 'c-05', _component: 'test', _columns: '3' },
+        { _id: 'c-10', _component: 'text' }
+      ])
+      await Octopus.run({ cwd: pluginDir, inputId: 'test', logger: { log: () => {} } })
+
+      const changeLog = await Octopus.migrate({ cwd, logger: { log: () => {} } })
+
+      const course = JSON.parse(readFileSync(join(courseDir, 'en', 'course.json'), 'utf8'))
+      assert.deepEqual(course._globals, { _test: { ariaRegion: 'Test' } })
+      const components = JSON.parse(readFileSync(join(courseDir, 'en', 'components.json'), 'utf8'))
+      assert.deepEqual(components, [
+        { _id: 'c-05', _component: 'test', _columns: 3 },
+        { _id: 'c-10', _component: 'text' }
+      ])
+      assert.deepEqual(changeLog[join('src', 'course', 'en', 'components.json')], [
+        { _id: 'c-05', inputId: 'test', path: '_columns', action: 'coerced', value: 3, previous: '3' }
+      ])
+      assert.deepEqual(JSON.parse(readFileSync(join(cwd, 'migration-log.json'), 'utf8')), changeLog)
+    })
+
+    it('should apply an extension\'s component schema to every component', async () => {
+      const cwd = join(testDir, 'migrate-extension')
+      const pluginDir = join(cwd, 'src', 'extensions', 'adapt-ext')
+      const courseDir = join(cwd, 'src', 'course')
+      const writeJson = (filePath, data) => {
+        mkdirSync(dirname(filePath), { recursive: true })
+        writeFileSync(filePath, JSON.stringify(data, null, 2))
+      }
+      writeJson(join(cwd, 'package.json'), { name: 'adapt_framework' })
+      writeJson(join(pluginDir, 'bower.json'), { extension: 'ext' })
+      const location = { type: 'object', properties: { _ext: { type: 'object', properties: { _isEnabled: { type: 'boolean', default: true } } } } }
+      writeJson(join(pluginDir, 'properties.schema'), {
+        properties: { pluginLocations: { type: 'object', properties: { block: location, component: location } } }
+      })
+      writeJson(join(courseDir, 'config.json'), { _defaultLanguage: 'en' })
+      writeJson(join(courseDir, 'en', 'blocks.json'), [{ _id: 'b-05' }])
+      writeJson(join(courseDir, 'en', 'components.json'), [{ _id: 'c-05', _component: 'text' }])
+      await Octopus.run({ cwd: pluginDir, inputId: 'ext', logger: { log: () => {} } })
+
+      const changeLog = await Octopus.migrate({ cwd, logger: { log: () => {} } })
+
+      const components = JSON.parse(readFileSync(join(courseDir, 'en', 'components.json'), 'utf8'))
+      assert.deepEqual(components, [{ _id: 'c-05', _component: 'text', _ext: { _isEnabled: true } }])
+      assert.ok(changeLog[join('src', 'course', 'en', 'blocks.json')])
+    })
+  })
+
+  describe('.registerTransformer()', () => {
+    after(() => {
+      Octopus.transformers.length = 0
+    })
+
+    it('should apply registered transformers to every conversion', async () => {
+      Octopus.registerTransformer({ key: 'title', transform: node => ({ ...node, maxLength: 50 }) })
+
+      const { component } = await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string' } }
+      }, { inputId: 'test-component', logger: { log: () => {} } })
+
+      assert.equal(component.$merge.with.properties.title.maxLength, 50)
+    })
+
+    it('should reject transformers without a transform function', () => {
+      assert.throws(() => Octopus.registerTransformer({ key: 'title' }), { message: 'Transformers must define a transform function' })
+    })
+  })
+
+  describe('.loadTransformers()', () => {
+    it('should load transformers from a module path', async () => {
+      const modulePath = join(testDir, 'transformers.js')
+      writeFileSync(modulePath, 'export default [{ inputType: \'Custom\', transform: node => node }]')
+
+      const transformers = await Octopus.loadTransformers(['transformers.js'], testDir)
+
+      assert.equal(transformers.length, 1)
+      assert.equal(transformers[0].inputType, 'Custom')
+    })
+
+    it('should reject modules without a transformer', async () => {
+      const modulePath = join(testDir, 'not-transformers.js')
+      writeFileSync(modulePath, 'export default {}')
+
+      await assert.rejects(() => Octopus.loadTransformers([modulePath]), /does not export a transformer/)
+    })
+  })
+
+  describe('.getPluginMetadata()', () => {
+    it('should read the plugin id and targetAttribute from bower.json', async () => {
+      const cwd = join(testDir, 'metadata-bower')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'bower.json'), JSON.stringify({ extension: 'pagelevelprogress', targetAttribute: '_pageLevelProgress' }))
+
+      const metadata = await Octopus.getPluginMetadata(cwd)
+
+      assert.deepEqual(metadata, { inputId: 'pagelevelprogress', pluginType: 'extension', targetAttribute: '_pageLevelProgress', warnings: [] })
+    })
+
+    it('should fall back to package.json', async () => {
+      const cwd = join(testDir, 'metadata-package')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-test', component: 'test' }))
+
+      const { inputId } = await Octopus.getPluginMetadata(cwd)
+
+      assert.equal(inputId, 'test')
+    })
+
+    it('should report inconsistencies between bower.json and package.json', async () => {
+      const cwd = join(testDir, 'metadata-mismatch')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'bower.json'), JSON.stringify({ name: 'adapt-test', version: '1.0.0', component: 'test' }))
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-test', version: '1.1.0' }))
+
+      const logs = []
+      const { warnings } = await Octopus.getPluginMetadata(cwd, { log: (msg) => logs.push(msg) })
+
+      assert.deepEqual(warnings, [{
+        code: 'METADATA_MISMATCH',
+        path: 'version',
+        action: 'retained',
+        value: { 'bower.json': '1.0.0', 'package.json': '1.1.0' }
+      }])
+      assert.deepEqual(logs, ['test: bower.json and package.json disagree on version => "1.0.0", "1.1.0"'])
+    })
+
+    it('should throw if neither file describes a plugin', async () => {
+      const cwd = join(testDir, 'metadata-missing')
+      mkdirSync(cwd, { recursive: true })
+      await assert.rejects(() => Octopus.getPluginMetadata(cwd), /No plugin metadata found/)
+    })
+  })
+
+  describe('.findPlugins()', () => {
+    it('should return every plugin directory in a framework source', async () => {
+      const cwd = join(testDir, 'framework')
+      mkdirSync(join(cwd, 'src', 'components', 'adapt-a'), { recursive: true })
+      mkdirSync(join(cwd, 'src', 'extensions', 'adapt-b'), { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt_framework' }))
+
+      const pluginDirs = await Octopus.findPlugins(cwd)
+
+      assert.deepEqual(pluginDirs, [join(cwd, 'src', 'components', 'adapt-a'), join(cwd, 'src', 'extensions', 'adapt-b')])
+    })
+
+    it('should return cwd for a single plugin', async () => {
+      const cwd = join(testDir, 'single-plugin')
+      mkdirSync(cwd, { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-test' }))
+
+      assert.deepEqual(await Octopus.findPlugins(cwd), [cwd])
+    })
+  })
+
+  describe('.watch()', () => {
+    it('should reconvert a plugin and summarise the changes when its schema changes', async () => {
+      const cwd = join(testDir, 'watch')
+      mkdirSync(join(cwd, 'schema'), { recursive: true })
+      writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt-test' }))
+      writeFileSync(join(cwd, 'bower.json'), JSON.stringify({ component: 'test' }))
+      const schema = {
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { title: { type: 'string' } }
+      }
+      writeFileSync(join(cwd, 'properties.schema'), JSON.stringify(schema))
+      await Octopus.run({ cwd, inputId: 'test', logger: { log: () => {} } })
+
+      const logs = []
+      const watcher = await Octopus.watch({ cwd, delay: 10, logger: { log: (msg) => logs.push(msg) } })
+      try {
+        schema.properties = { body: { type: 'string', default: 'Body' } }
+        writeFileSync(join(cwd, 'properties.schema'), JSON.stringify(schema))
+
+        for (let i = 0; i < 100 && !logs.some(l => l.startsWith('test:')); i++) {
+          await new Promise(resolve => setTimeout(resolve, 20))
+        }
+      } finally {
+        watcher.close()
+      }
+      assert.ok(logs.includes('test: component schema, 1 added, 1 removed, 0 changed'))
+      assert.ok(logs.includes('  + body'))
+      assert.ok(logs.includes('  - title'))
+      const output = JSON.parse(readFileSync(join(cwd, 'schema', 'component.schema.json'), 'utf8'))
+      assert.ok(output.$merge.with.properties.body)
+    })
   })
 })
@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFileSync, mkdirSync, rmSync, existsSync, readFileSync } from 'node:fs'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import AdmZip from 'adm-zip'
+import * as tar from 'tar'
+import Octopus from '../lib/Octopus.js'
+import PluginArchive from '../lib/PluginArchive.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const testDir = join(__dirname, 'temp-archive-data')
+const logger = { log: () => {} }
+
+const legacySchema = {
+  $ref: 'http://localhost/plugins/content/component/model.schema',
+  properties: { title: { type: 'string', default: 'Hello' } }
+}
+
+function createPlugin (dir, bowerJson = {}, schema = legacySchema) {
+  mkdirSync(dir, { recursive: true })
+  writeFileSync(join(dir, 'bower.json'), JSON.stringify({ name: 'adapt-test', component: 'test', ...bowerJson }))
+  writeFileSync(join(dir, 'properties.schema'), JSON.stringify(schema))
+}
+
+async function createTarball (name) {
+  const source = join(testDir, `${name}-source`)
+  createPlugin(join(source, 'package'))
+  const filePath = join(testDir, `${name}.tgz`)
+  await tar.c({ gzip: true, file: filePath, cwd: source }, ['package'])
+  return filePath
+}
+
+function createZip (name, ...plugin) {
+  const source = join(testDir, `${name}-source`)
+  createPlugin(source, ...plugin)
+  const zip = new AdmZip()
+  zip.addLocalFolder(source)
+  const filePath = join(testDir, `${name}.zip`)
+  zip.writeZip(filePath)
+  return filePath
+}
+
+describe('PluginArchive', () => {
+  before(() => {
+    rmSync(testDir, { recursive: true, force: true })
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should recognise archives by extension', () => {
+    assert.equal(PluginArchive.isArchive('plugin.zip'), true)
+    assert.equal(PluginArchive.isArchive('plugin.tgz'), true)
+    assert.equal(PluginArchive.isArchive('plugin.tar.gz'), true)
+    assert.equal(PluginArchive.isArchive('properties.schema'), false)
+    assert.equal(PluginArchive.isArchive(undefined), false)
+  })
+
+  it('should find the plugin root inside an npm tarball and clean up after itself', async () => {
+    const archive = new PluginArchive(await createTarball('find'))
+    const pluginDir = await archive.extract()
+
+    assert.equal(pluginDir, join(archive.extractDir, 'package'))
+    assert.equal(archive.toArchivePath(join(pluginDir, 'properties.schema')), join(testDir, 'find.tgz', 'package', 'properties.schema'))
+    await archive.cleanup()
+    assert.equal(existsSync(archive.extractDir), false)
+  })
+
+  it('should throw if the archive has no plugin', async () => {
+    const zip = new AdmZip()
+    zip.addFile('readme.md', Buffer.from('Nothing here'))
+    zip.writeZip(join(testDir, 'empty.zip'))
+    const archive = new PluginArchive(join(testDir, 'empty.zip'))
+
+    await assert.rejects(() => archive.extract(), /No plugin with a properties.schema found/)
+    await archive.cleanup()
+  })
+
+  describe('Octopus.run()', () => {
+    it('should write schemas next to a converted tarball, reading the id from the plugin', async () => {
+      const filePath = await createTarball('next-to')
+      const report = await Octopus.run({ inputPath: filePath, cwd: testDir, logger })
+
+      const component = JSON.parse(readFileSync(join(testDir, 'schema', 'component.schema.json'), 'utf8'))
+      assert.equal(component.$anchor, 'test-component')
+      assert.equal(report.plugins[0].inputPath, join(filePath, 'package', 'properties.schema'))
+    })
+
+    it('should read the targetAttribute from the plugin when given an id', async () => {
+      const filePath = createZip('target-attribute', { extension: 'narrative', component: undefined, targetAttribute: '_narr' }, {
+        globals: { label: { type: 'string', default: 'Label' } },
+        properties: { pluginLocations: { type: 'object', properties: {} } }
+      })
+      await Octopus.run({ inputPath: filePath, cwd: testDir, outputDir: 'target-attribute-schema', inputId: 'narrative', logger })
+
+      const course = JSON.parse(readFileSync(join(testDir, 'target-attribute-schema', 'course.schema.json'), 'utf8'))
+      assert.deepEqual(Object.keys(course.$patch.with.properties._globals.properties), ['_narr'])
+    })
+
+    it('should add schemas to a repacked zip', async () => {
+      const filePath = createZip('repack')
+      const logs = []
+      const report = await Octopus.run({ inputPath: filePath, cwd: testDir, repack: true, inputId: 'test', logger: { log: msg => logs.push(msg) } })
+
+      assert.ok(logs.includes(`converted JSON schema written to ${join(filePath, 'schema', 'component.schema.json')}`))
+      assert.equal(logs.some(log => log.includes('adapt-octopus-')), false)
+
+      const entries = new AdmZip(filePath).getEntries().map(e => e.entryName)
+      assert.ok(entries.includes('schema/component.schema.json'))
+      assert.ok(entries.includes('properties.schema'))
+      assert.ok(report.plugins[0].outputPaths.includes(join(filePath, 'schema', 'component.schema.json')))
+    })
+  })
+})
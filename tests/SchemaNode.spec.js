@@ -1,6 +1,7 @@
 import { describe, it, before } from 'node:test'
 import assert from 'node:assert/strict'
 import SchemaNode from '../lib/SchemaNode.js'
+import Ajv2020 from 'ajv/dist/2020.js'
 
 describe('SchemaNode', () => {
   describe('constructor with nodeType: root', () => {
@@ -238,6 +239,26 @@ describe('SchemaNode', () => {
       assert.deepEqual(node.default, [])
     })
 
+    it('should return the first option for a select without an empty option', () => {
+      const node = new SchemaNode({
+        nodeType: 'properties',
+        key: 'test',
+        inputSchema: { type: 'string', inputType: { type: 'Select', options: ['left', 'right'] } },
+        logger: { log: () => {} }
+      })
+      assert.equal(node.default, 'left')
+    })
+
+    it('should return the empty value for a select with an empty option', () => {
+      const node = new SchemaNode({
+        nodeType: 'properties',
+        key: 'test',
+        inputSchema: { type: 'string', enum: ['', 'left', 'right'] },
+        logger: { log: () => {} }
+      })
+      assert.equal(node.default, '')
+    })
+
     it('should not return default for required fields', () => {
       const node = new SchemaNode({
         nodeType: 'properties',
@@ -395,7 +416,32 @@ describe('SchemaNode', () => {
     })
   })
 
+  describe('#getGlobalsKey()', () => {
+    it('should use targetAttribute for the _globals key', () => {
+      const node = new SchemaNode({
+        nodeType: 'root',
+        schemaType: 'course',
+        inputId: 'pagelevelprogress',
+        targetAttribute: '_pageLevelProgress',
+        inputSchema: { globals: { label: { type: 'string' } } },
+        logger: { log: () => {} }
+      })
+      assert.deepEqual(Object.keys(node.$patch.with.properties._globals.properties), ['_pageLevelProgress'])
+      assert.equal(node.$anchor, 'pagelevelprogress-course')
+    })
+  })
+
   describe('#getEnumeratedValues()', () => {
+    it('should return enum if provided', () => {
+      const node = new SchemaNode({
+        nodeType: 'properties',
+        key: 'test',
+        inputSchema: { type: 'string', enum: ['a', 'b'] },
+        logger: { log: () => {} }
+      })
+      assert.deepEqual(node.enum, ['a', 'b'])
+    })
+
     it('should return originalEnum if provided', () => {
       const node = new SchemaNode({
         nodeType: 'properties',
@@ -479,6 +525,55 @@ describe('SchemaNode', () => {
       assert.equal(node.type, 'object')
       assert.equal(node.properties, undefined)
     })
+    it('should keep the type of primitive items', () => {
+      const node = new SchemaNode({
+        nodeType: 'items',
+        inputSchema: { type: 'string', enum: ['a', 'b'], title: 'Option', inputType: 'Select' },
+        logger: { log: () => {} }
+      })
+      assert.equal(node.type, 'string')
+      assert.deepEqual(node.enum, ['a', 'b'])
+      assert.equal(node.title, 'Option')
+      assert.equal(node._backboneForms, 'Select')
+    })
+
+    it('should convert nested items', () => {
+      const node = new SchemaNode({
+        nodeType: 'items',
+        inputSchema: { type: 'array', items: { type: 'number', default: 1 } },
+        logger: { log: () => {} }
+      })
+      assert.equal(node.type, 'array')
+      assert.equal(node.items.type, 'number')
+      assert.equal(node.items.default, 1)
+    })
+
+    it('should list required child properties and keep their translatable flags', () => {
+      const node = new SchemaNode({
+        nodeType: 'items',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', validators: ['required'], translatable: true },
+            body: { type: 'string', default: '', translatable: true }
+          }
+        },
+        logger: { log: () => {} }
+      })
+      assert.deepEqual(node.required, ['title'])
+      assert.deepEqual(node.properties.title._adapt, { translatable: true })
+      assert.deepEqual(node.properties.body._adapt, { translatable: true })
+    })
+
+    it('should keep _adapt and _backboneForms options for items', () => {
+      const node = new SchemaNode({
+        nodeType: 'items',
+        inputSchema: { type: 'object', editorOnly: true, inputType: 'List' },
+        logger: { log: () => {} }
+      })
+      assert.deepEqual(node._adapt, { editorOnly: true })
+      assert.equal(node._backboneForms, 'List')
+    })
   })
 
   describe('#getItems()', () => {
@@ -511,4 +606,201 @@ describe('SchemaNode', () => {
       assert.equal(node.items, undefined)
     })
   })
+
+  describe('#translateValidators()', () => {
+    const convert = inputSchema => new SchemaNode({ nodeType: 'properties', key: 'test', inputSchema, logger: { log: () => {} } })
+
+    it('should translate email and url validators into formats', () => {
+      assert.equal(convert({ type: 'string', validators: ['required', 'email'] }).format, 'email')
+      assert.equal(convert({ type: 'string', validators: ['required', 'url'] }).format, 'uri')
+    })
+
+    it('should allow optional formatted fields to be empty', () => {
+      const node = convert({ type: 'string', validators: ['email'] })
+      assert.equal(node.format, undefined)
+      assert.deepEqual(node.anyOf, [{ const: '' }, { format: 'email' }])
+    })
+
+    it('should translate regexp validators into a pattern', () => {
+      const node = convert({ type: 'string', validators: ['required', { type: 'regexp', regexp: '^[a-z]+$' }] })
+      assert.equal(node.pattern, '^[a-z]+$')
+      assert.equal(node._backboneForms, undefined)
+    })
+
+    it('should allow optional patterned fields to be empty', () => {
+      const node = convert({ type: 'string', validators: [{ type: 'regexp', regexp: '^[A-Z]{3}$' }] })
+      assert.equal(node.pattern, '^$|^[A-Z]{3}$')
+    })
+
+    it('should produce defaults which validate against their own keywords', () => {
+      const ajv = new Ajv2020({ strict: false, useDefaults: true, formats: { email: /^\S+@\S+$/, uri: /^[a-z][a-z0-9+.-]*:/i } })
+      const validators = ['email', 'url', 'number', { type: 'regexp', regexp: '^[A-Z]{3}$' }]
+
+      for (const validator of validators) {
+        const node = convert({ type: 'string', validators: [validator] })
+        assert.equal(ajv.validate(node, node.default), true, `${JSON.stringify(validator)}: ${ajv.errorsText()}`)
+        assert.equal(ajv.validate({ type: 'object', properties: { test: node } }, {}), true, ajv.errorsText())
+      }
+      assert.equal(ajv.validate(convert({ type: 'string', validators: [{ type: 'regexp', regexp: '^[A-Z]{3}$' }] }), 'abc'), false)
+      assert.equal(ajv.validate(convert({ type: 'string', validators: ['email'] }), 'not an email'), false)
+    })
+
+    it('should translate number validators on strings into a numeric pattern', () => {
+      const node = convert({ type: 'string', validators: ['number'] })
+      assert.ok(new RegExp(node.pattern).test('1.5'))
+      assert.equal(new RegExp(node.pattern).test('abc'), false)
+    })
+
+    it('should drop number validators on number types', () => {
+      const node = convert({ type: 'number', inputType: 'Text', validators: ['number'] })
+      assert.equal(node.pattern, undefined)
+      assert.equal(node._backboneForms, 'Text')
+    })
+
+    it('should keep validators that cannot be expressed in _backboneForms', () => {
+      const warnings = []
+      const node = new SchemaNode({
+        nodeType: 'properties',
+        key: 'test',
+        inputSchema: { type: 'string', validators: ['required', 'email', { type: 'match', field: 'other' }] },
+        warnings,
+        logger: { log: () => {} }
+      })
+      assert.equal(node.format, 'email')
+      assert.deepEqual(node._backboneForms, { validators: [{ type: 'match', field: 'other' }] })
+      assert.deepEqual(warnings.map(w => w.code), ['UNTRANSLATED_VALIDATOR'])
+    })
+
+    it('should keep conflicting validators in _backboneForms', () => {
+      const node = convert({ type: 'string', validators: [{ type: 'regexp', regexp: 'a' }, { type: 'regexp', regexp: 'b' }] })
+      assert.equal(node.pattern, '^$|a')
+      assert.deepEqual(node._backboneForms, { validators: [{ type: 'regexp', regexp: 'b' }] })
+    })
+  })
+
+  describe('#applyTransformers()', () => {
+    it('should rewrite nodes matching inputType', () => {
+      const node = new SchemaNode({
+        nodeType: 'properties',
+        key: 'colour',
+        inputSchema: { type: 'string', inputType: 'ColourPicker' },
+        transformers: [{
+          inputType: 'ColourPicker',
+          transform: node => ({ ...node, _backboneForms: { type: 'ColorPicker', format: 'hex' } })
+        }],
+        logger: { log: () => {} }
+      })
+      assert.deepEqual(node._backboneForms, { type: 'ColorPicker', format: 'hex' })
+    })
+
+    it('should match on key and path', () => {
+      const transformers = [
+        { key: /^_is/, transform: node => { node.description = 'flag' } },
+        { path: '_items[*].title', transform: node => { node.maxLength = 20 } }
+      ]
+      const node = new SchemaNode({
+        nodeType: 'properties',
+        key: '_items',
+        path: ['_items'],
+        pointer: ['properties', '_items'],
+        inputId: 'test',
+        sourceFile: 'properties.schema',
+        inputSchema: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              _isVisible: { type: 'boolean' }
+            }
+          }
+        },
+        transformers,
+        logger: { log: () => {} }
+      })
+      assert.equal(node.items.properties.title.maxLength, 20)
+      assert.equal(node.items.properties.title.description, undefined)
+      assert.equal(node.items.properties._isVisible.description, 'flag')
+    })
+
+    it('should treat keywords handled by a transformer as recognised', () => {
+      const warnings = []
+      const node = new SchemaNode({
+        nodeType: 'properties',
+        key: 'body',
+        inputSchema: { type: 'string', maxChars: 200 },
+        transformers: [{
+          keywords: ['maxChars'],
+          transform: (node, { inputSchema }) => ({ ...node, maxLength: inputSchema.maxChars })
+        }],
+        warnings,
+        logger: { log: () => {} }
+      })
+      assert.equal(node.maxLength, 200)
+      assert.equal(node._unrecognisedFields, undefined)
+      assert.deepEqual(warnings, [])
+    })
+  })
+
+  describe('#warn()', () => {
+    it('should collect unrecognised fields with their property path and JSON pointer', () => {
+      const warnings = []
+      const logs = []
+      // eslint-disable-next-line no-new
+      new SchemaNode({
+        nodeType: 'properties',
+        key: '_items',
+        path: ['_items'],
+        pointer: ['properties', '_items'],
+        inputId: 'test',
+        sourceFile: 'properties.schema',
+        inputSchema: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string', custom: true }
+            }
+          }
+        },
+        warnings,
+        logger: { log: (msg) => logs.push(msg) }
+      })
+      assert.deepEqual(warnings, [{
+        code: 'UNRECOGNISED_FIELD',
+        path: '_items[*].title',
+        pointer: '/properties/_items/items/properties/title',
+        action: 'retained',
+        value: { custom: true }
+      }])
+      assert.deepEqual(logs, ['test: Unrecognised field => "custom": true (properties.schema#/properties/_items/items/properties/title)'])
+    })
+
+    it('should collect unrecognised types', () => {
+      const warnings = []
+      // eslint-disable-next-line no-new
+      new SchemaNode({
+        nodeType: 'properties',
+        key: 'test',
+        path: ['test'],
+        inputSchema: { type: 'foo' },
+        warnings,
+        logger: { log: () => {} }
+      })
+      assert.deepEqual(warnings.map(w => [w.code, w.value]), [['UNRECOGNISED_TYPE', 'foo']])
+    })
+
+    it('should record dropped editors', () => {
+      const warnings = []
+      // eslint-disable-next-line no-new
+      new SchemaNode({
+        nodeType: 'properties',
+        key: 'test',
+        inputSchema: { type: 'string', inputType: 'QuestionButton' },
+        warnings,
+        logger: { log: () => {} }
+      })
+      assert.deepEqual(warnings.map(w => [w.code, w.action]), [['DROPPED_EDITOR', 'dropped']])
+    })
+  })
 })
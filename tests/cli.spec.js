@@ -0,0 +1,176 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { readFileSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'node:fs'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const cliPath = join(__dirname, '..', 'bin', 'cli.js')
+const testDir = join(__dirname, 'temp-cli-data')
+
+const cli = (args, { input, cwd } = {}) => spawnSync(process.execPath, [cliPath, ...args], { input, cwd, encoding: 'utf8', timeout: 30000 })
+
+const legacySchema = JSON.stringify({
+  $ref: 'http://localhost/plugins/content/component/model.schema',
+  globals: {
+    ariaRegion: { type: 'string', default: 'Test' }
+  },
+  properties: {
+    title: { type: 'string', custom: 1 }
+  }
+})
+
+function createPlugin (name, schema = legacySchema) {
+  const dir = join(testDir, name)
+  mkdirSync(dir, { recursive: true })
+  writeFileSync(join(dir, 'package.json'), JSON.stringify({ name: `adapt-${name}`, component: 'test' }))
+  writeFileSync(join(dir, 'properties.schema'), schema)
+  return dir
+}
+
+describe('cli', () => {
+  before(() => {
+    rmSync(testDir, { recursive: true, force: true })
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  describe('usage', () => {
+    it('should print help and exit with 0 for --help', () => {
+      const { status, stdout } = cli(['--help'])
+
+      assert.equal(status, 0)
+      assert.match(stdout, /^Usage: adapt-octopus <command> \[dir\] \[options\]/)
+    })
+
+    it('should exit with 2 without a command', () => {
+      const { status, stderr } = cli([])
+
+      assert.equal(status, 2)
+      assert.match(stderr, /^Usage:/)
+    })
+
+    it('should exit with 2 for unknown options', () => {
+      const { status, stderr } = cli(['convert', '--nope'])
+
+      assert.equal(status, 2)
+      assert.match(stderr, /Unknown option '--nope'/)
+    })
+
+    it('should exit with 2 when convert is missing --id', () => {
+      const { status, stderr } = cli(['convert', testDir])
+
+      assert.equal(status, 2)
+      assert.match(stderr, /The convert command requires --id/)
+    })
+
+    it('should exit with 2 for unknown write strategies before converting anything', () => {
+      const dir = createPlugin('write-strategy')
+      const { status, stderr } = cli(['convert-all', dir, '-w', 'nope'])
+
+      assert.equal(status, 2)
+      assert.match(stderr, /Unknown write strategy nope/)
+      assert.equal(existsSync(join(dir, 'schema')), false)
+    })
+  })
+
+  describe('legacy arguments', () => {
+    it('should convert a single plugin given a dir and id', () => {
+      const dir = createPlugin('legacy-convert')
+      const { status } = cli([dir, 'test'])
+
+      assert.equal(status, 0)
+      assert.equal(JSON.parse(readFileSync(join(dir, 'schema', 'component.schema.json'), 'utf8')).$anchor, 'test-component')
+    })
+
+    it('should convert every plugin given only a dir', () => {
+      const dir = createPlugin('legacy-convert-all')
+      const { status, stdout } = cli([dir])
+
+      assert.equal(status, 0)
+      assert.match(stdout, /1 converted, 0 skipped, 0 failed/)
+      assert.ok(existsSync(join(dir, 'schema', 'component.schema.json')))
+    })
+  })
+
+  describe('exit codes', () => {
+    it('should exit with 1 when a conversion fails', () => {
+      const dir = createPlugin('broken', '{')
+
+      assert.equal(cli(['convert', dir, '--id', 'test']).status, 1)
+      assert.equal(cli(['convert-all', dir]).status, 1)
+    })
+
+    it('should exit with 3 when --check finds drift, and 0 when there is none', () => {
+      const dir = createPlugin('check')
+      const outputPath = join(dir, 'schema', 'component.schema.json')
+
+      assert.equal(cli(['convert', dir, '--id', 'test', '-q']).status, 0)
+      assert.equal(cli(['convert', dir, '--id', 'test', '--check']).status, 0)
+
+      writeFileSync(outputPath, '{}')
+      const { status, stdout } = cli(['convert', dir, '--id', 'test', '--check'])
+
+      assert.equal(status, 3)
+      assert.match(stdout, /JSON schema drift in/)
+    })
+  })
+
+  describe('--stdin', () => {
+    it('should print the converted schemas keyed by content type', () => {
+      const { status, stdout, stderr } = cli(['--stdin', '--id', 'test'], { input: legacySchema })
+
+      assert.equal(status, 0)
+      const schemas = JSON.parse(stdout)
+      assert.deepEqual(Object.keys(schemas), ['course', 'component'])
+      assert.equal(schemas.component.$merge.with.properties.title.type, 'string')
+      assert.ok(stderr.includes('test: Unrecognised field => "custom": 1 (<stdin>#/properties/title)'))
+    })
+
+    it('should print one object per line with --ndjson', () => {
+      const { status, stdout } = cli(['--stdin', '--id', 'test', '--ndjson'], { input: legacySchema })
+
+      assert.equal(status, 0)
+      const lines = stdout.trim().split('\n').map(line => JSON.parse(line))
+      assert.deepEqual(lines.map(({ type }) => type), ['course', 'component'])
+      assert.equal(lines[1].schema.$anchor, 'test-component')
+    })
+
+    it('should exit with 1 for invalid JSON', () => {
+      const { status, stdout, stderr } = cli(['--stdin', '--id', 'test'], { input: '{' })
+
+      assert.equal(status, 1)
+      assert.equal(stdout, '')
+      assert.match(stderr, /Failed to parse legacy schema from stdin/)
+    })
+
+    it('should exit with 1 for schemas without a content type', () => {
+      const { status, stderr } = cli(['--stdin', '--id', 'test'], { input: JSON.stringify({ properties: { title: { type: 'string' } } }) })
+
+      assert.equal(status, 1)
+      assert.match(stderr, /Unable to tell the content type/)
+    })
+
+    it('should report validation failures by content type', () => {
+      const input = JSON.stringify({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: { count: { type: 'number', default: '5' } }
+      })
+      const { status, stderr } = cli(['--stdin', '--id', 'test'], { input })
+
+      assert.equal(status, 1)
+      assert.match(stderr, /^JSON schema validation failed for component:$/m)
+    })
+
+    it('should exit with 2 without --id', () => {
+      const { status, stderr } = cli(['--stdin'], { input: legacySchema })
+
+      assert.equal(status, 2)
+      assert.match(stderr, /--stdin requires --id/)
+    })
+  })
+})
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import deref from '../utils/deref.js'
+
+describe('deref', () => {
+  const defs = { _graphic: { type: 'object', title: 'Graphic', properties: { alt: { type: 'string' } } } }
+
+  it('should inline a definition, keeping keywords alongside the $ref', () => {
+    assert.deepEqual(deref({ $ref: '#/$defs/_graphic', title: 'Feedback graphic' }, defs), {
+      ...defs._graphic,
+      $ref: '#/$defs/_graphic',
+      title: 'Feedback graphic'
+    })
+  })
+
+  it('should leave schemas without a known definition alone', () => {
+    const schema = { $ref: '#/$defs/_missing' }
+    assert.equal(deref(schema, defs), schema)
+    assert.equal(deref({ type: 'string' }, defs).type, 'string')
+  })
+})
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import diffSchemas from '../utils/diffSchemas.js'
+
+describe('diffSchemas', () => {
+  it('should return no differences for equal schemas', () => {
+    const schema = { type: 'object', properties: { title: { type: 'string', default: '' } } }
+    assert.deepEqual(diffSchemas(schema, structuredClone(schema)), [])
+  })
+
+  it('should report properties missing from the existing schema as added', () => {
+    const result = diffSchemas({ properties: { title: { type: 'string' } } }, { properties: {} })
+    assert.deepEqual(result, [{ path: 'properties.title', kind: 'added', expected: { type: 'string' } }])
+  })
+
+  it('should report properties only in the existing schema as removed', () => {
+    const result = diffSchemas({ properties: {} }, { properties: { body: { type: 'string' } } })
+    assert.deepEqual(result, [{ path: 'properties.body', kind: 'removed', actual: { type: 'string' } }])
+  })
+
+  it('should report changed values with their full path', () => {
+    const result = diffSchemas(
+      { properties: { title: { default: 'New' } } },
+      { properties: { title: { default: 'Old' } } }
+    )
+    assert.deepEqual(result, [{ path: 'properties.title.default', kind: 'changed', expected: 'New', actual: 'Old' }])
+  })
+
+  it('should compare arrays as whole values', () => {
+    const result = diffSchemas({ required: ['a', 'b'] }, { required: ['a'] })
+    assert.deepEqual(result, [{ path: 'required', kind: 'changed', expected: ['a', 'b'], actual: ['a'] }])
+  })
+})
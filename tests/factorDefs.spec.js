@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import factorDefs from '../utils/factorDefs.js'
+
+const graphic = title => ({
+  type: 'object',
+  title,
+  properties: {
+    src: { type: 'string', isObjectId: true, title: 'Source' },
+    alt: { type: 'string', title: 'Alt', default: '' }
+  }
+})
+
+describe('factorDefs', () => {
+  it('should move repeated structures into $defs, keeping annotations with each $ref', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        _graphic: graphic('Graphic'),
+        _feedback: { type: 'object', properties: { _graphic: graphic('Feedback graphic') } }
+      }
+    }
+    const output = factorDefs(schema)
+
+    assert.deepEqual(output.$defs._graphic, { type: 'object', properties: graphic().properties })
+    assert.deepEqual(output.properties._graphic, { $ref: '#/$defs/_graphic', title: 'Graphic' })
+    assert.deepEqual(output.properties._feedback.properties._graphic, { $ref: '#/$defs/_graphic', title: 'Feedback graphic' })
+  })
+
+  it('should factor the largest repeated structure, then any structures repeated within it', () => {
+    const item = { type: 'object', properties: { title: { type: 'string' }, _graphic: graphic('Graphic') } }
+    const schema = {
+      type: 'object',
+      properties: {
+        _items: { type: 'array', items: item },
+        _otherItems: { type: 'array', items: structuredClone(item) },
+        _graphic: graphic('Graphic')
+      }
+    }
+    const output = factorDefs(schema)
+
+    assert.deepEqual(output.properties._items.items, { $ref: '#/$defs/_items-item' })
+    assert.deepEqual(output.properties._otherItems.items, { $ref: '#/$defs/_items-item' })
+    assert.deepEqual(output.$defs['_items-item'].properties._graphic, { $ref: '#/$defs/_graphic', title: 'Graphic' })
+    assert.deepEqual(output.properties._graphic, { $ref: '#/$defs/_graphic', title: 'Graphic' })
+  })
+
+  it('should add $defs to the with schema of $merge and $patch schemas', () => {
+    const schema = {
+      $patch: {
+        source: { $ref: 'course' },
+        with: { properties: { _a: graphic('A'), _b: graphic('B') } }
+      }
+    }
+    const output = factorDefs(schema)
+
+    assert.ok(output.$patch.with.$defs._a)
+    assert.equal(output.$defs, undefined)
+  })
+
+  it('should prefix definition names with the plugin id', () => {
+    const schema = {
+      $patch: {
+        source: { $ref: 'block' },
+        with: { properties: { _a: { type: 'object', properties: { _graphic: graphic('A') } }, _graphic: graphic('B') } }
+      }
+    }
+    const output = factorDefs(schema, { inputId: 'adapt-test' })
+
+    assert.deepEqual(Object.keys(output.$patch.with.$defs), ['adapt-test-_graphic'])
+    assert.equal(output.$patch.with.properties._graphic.$ref, '#/$defs/adapt-test-_graphic')
+  })
+
+  it('should leave schemas without repetition alone', () => {
+    const schema = { type: 'object', properties: { _graphic: graphic('Graphic') } }
+    assert.deepEqual(factorDefs(schema), schema)
+  })
+
+  it('should not modify the original schema', () => {
+    const schema = { type: 'object', properties: { _a: graphic('A'), _b: graphic('B') } }
+    factorDefs(schema)
+    assert.equal(schema.$defs, undefined)
+    assert.equal(schema.properties._a.type, 'object')
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { EOL } from 'node:os'
+import generateDocs from '../utils/generateDocs.js'
+import Octopus from '../lib/Octopus.js'
+
+const logger = { log: () => {} }
+
+describe('generateDocs', () => {
+  it('should list component attributes and globals in separate sections', async () => {
+    const schemas = await Octopus.convertSchema({
+      $ref: 'http://localhost/plugins/content/component/model.schema',
+      globals: { ariaRegion: { type: 'string', default: 'Items', help: 'Read by screen readers' } },
+      properties: {
+        instruction: { type: 'string', help: 'Shown above the items' },
+        _layout: { type: 'string', default: 'left', enum: ['left', 'right'] },
+        _items: {
+          type: 'array',
+          items: { type: 'object', properties: { title: { type: 'string', validators: ['required'] } } }
+        }
+      }
+    }, { inputId: 'test', logger })
+
+    assert.deepEqual(generateDocs(schemas).split(EOL), [
+      '### Attributes',
+      '',
+      '- **instruction** (`string`, default `""`): Shown above the items',
+      '- **_layout** (`string`, default `"left"`, one of `"left"`, `"right"`)',
+      '- **_items** (`array of object`)',
+      '  - **title** (`string`, required)',
+      '',
+      '### Globals',
+      '',
+      'Set in `course.json` under `_globals._test`.',
+      '',
+      '- **ariaRegion** (`string`, default `"Items"`): Read by screen readers',
+      ''
+    ])
+  })
+
+  it('should list the properties added to each plugin location', async () => {
+    const schemas = await Octopus.convertSchema({
+      properties: {
+        pluginLocations: {
+          type: 'object',
+          properties: {
+            article: { type: 'object', properties: { _test: { type: 'object', properties: { _isEnabled: { type: 'boolean', default: true } } } } },
+            block: { type: 'object', properties: { _test: { type: 'object', properties: { _isEnabled: { type: 'boolean', default: false } } } } }
+          }
+        }
+      }
+    }, { inputId: 'test', logger })
+
+    assert.deepEqual(generateDocs(schemas).split(EOL), [
+      '### Plugin locations',
+      '',
+      '#### article',
+      '',
+      '- **_test** (`object`)',
+      '  - **_isEnabled** (`boolean`, default `true`)',
+      '',
+      '#### block',
+      '',
+      '- **_test** (`object`)',
+      '  - **_isEnabled** (`boolean`, default `false`)',
+      ''
+    ])
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import generateExample from '../utils/generateExample.js'
+import Octopus from '../lib/Octopus.js'
+
+const logger = { log: () => {} }
+
+describe('generateExample', () => {
+  describe('for components', () => {
+    let example
+
+    before(async () => {
+      const schemas = await Octopus.convertSchema({
+        $ref: 'http://localhost/plugins/content/component/model.schema',
+        properties: {
+          instruction: { type: 'string', default: 'Select an option' },
+          _isRound: { type: 'boolean' },
+          _graphic: {
+            type: 'object',
+            properties: {
+              src: { type: 'string', inputType: 'Asset:image' },
+              alt: { type: 'string', default: '' }
+            }
+          },
+          _items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', validators: ['required'] },
+                _score: { type: 'number', default: 1 }
+              }
+            }
+          }
+        }
+      }, { inputId: 'test', logger })
+      example = generateExample(schemas, { inputId: 'test' })
+    })
+
+    it('should return a component content object', () => {
+      assert.equal(example._type, 'component')
+      assert.equal(example._component, 'test')
+    })
+
+    it('should use converted defaults', () => {
+      assert.equal(example.instruction, 'Select an option')
+      assert.equal(example._isRound, false)
+    })
+
+    it('should build nested objects from their properties', () => {
+      assert.deepEqual(example._graphic, { src: '', alt: '' })
+    })
+
+    it('should include an example array item', () => {
+      assert.deepEqual(example._items, [{ title: '<title>', _score: 1 }])
+    })
+  })
+
+  describe('for extensions', () => {
+    let example
+
+    before(async () => {
+      const schemas = await Octopus.convertSchema({
+        globals: {
+          ariaRegion: { type: 'string', default: 'Region' }
+        },
+        properties: {
+          pluginLocations: {
+            type: 'object',
+            properties: {
+              config: { type: 'object', properties: {} },
+              article: {
+                type: 'object',
+                properties: {
+                  _test: {
+                    type: 'object',
+                    properties: {
+                      _isEnabled: { type: 'boolean', default: true },
+                      _count: { type: 'number', required: true }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }, { inputId: 'test', logger })
+      example = generateExample(schemas, { inputId: 'test' })
+    })
+
+    it('should return snippets keyed by content type', () => {
+      assert.deepEqual(Object.keys(example), ['article', 'course'])
+    })
+
+    it('should place globals under course._globals', () => {
+      assert.deepEqual(example.course, { _globals: { _test: { ariaRegion: 'Region' } } })
+    })
+
+    it('should give required fields without a default a typed placeholder', () => {
+      assert.deepEqual(example.article._test, { _isEnabled: true, _count: 0 })
+    })
+  })
+})
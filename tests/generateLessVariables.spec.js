@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { EOL } from 'node:os'
+import generateLessVariables from '../utils/generateLessVariables.js'
+
+describe('generateLessVariables', () => {
+  it('should declare each variable with a default, grouped by comments', () => {
+    const less = generateLessVariables([
+      { name: 'font-color', group: 'Global', default: '#000' },
+      { name: 'font-family', group: 'Global', default: '' },
+      { name: 'unset', group: 'Global' },
+      { name: 'max-width', group: undefined, default: 1440 }
+    ])
+    assert.deepEqual(less.split(EOL).slice(1), [
+      '',
+      '// Global',
+      '@font-color: #000;',
+      '@font-family: ~"";',
+      '',
+      '// Variables',
+      '@max-width: 1440;',
+      ''
+    ])
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import generateTypes from '../utils/generateTypes.js'
+import Octopus from '../lib/Octopus.js'
+
+const logger = { log: () => {} }
+
+describe('generateTypes', () => {
+  it('should declare the component model, following required, enums and items', async () => {
+    const schemas = await Octopus.convertSchema({
+      $ref: 'http://localhost/plugins/content/component/model.schema',
+      properties: {
+        instruction: { type: 'string', help: 'Shown above the items' },
+        _layout: { type: 'string', default: 'left', enum: ['left', 'right'] },
+        _items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string', validators: ['required'] },
+              'data-id': { type: 'number' }
+            }
+          }
+        },
+        _tags: { type: 'array', items: { type: 'string' } },
+        _options: { type: 'object' }
+      }
+    }, { inputId: 'hot-graphic', logger })
+
+    const types = generateTypes(schemas, { inputId: 'hot-graphic' })
+
+    assert.ok(types.includes([
+      'export interface HotGraphicComponentProperties {',
+      '  /** Shown above the items */',
+      '  instruction?: string',
+      '  _layout?: \'left\' | \'right\'',
+      '  _items?: Array<{',
+      '    title: string',
+      '    \'data-id\'?: number',
+      '  }>',
+      '  _tags?: Array<string>',
+      '  _options?: Record<string, unknown>',
+      '}'
+    ].join('\n')))
+  })
+
+  it('should declare globals and the properties added to each location', async () => {
+    const schemas = await Octopus.convertSchema({
+      globals: { ariaRegion: { type: 'string', default: 'Region' } },
+      properties: {
+        pluginLocations: {
+          type: 'object',
+          properties: {
+            article: { type: 'object', properties: { _test: { type: 'object', properties: { _isEnabled: { type: 'boolean' } } } } }
+          }
+        }
+      }
+    }, { inputId: 'test', logger })
+
+    const types = generateTypes(schemas, { inputId: 'test' })
+
+    assert.match(types, /export interface TestGlobals \{\n {2}ariaRegion\?: string\n\}/)
+    assert.match(types, /export interface TestArticleProperties \{\n {2}_test\?: \{\n {4}_isEnabled\?: boolean\n {2}\}\n\}/)
+  })
+
+  it('should declare factored $defs as their own interfaces', async () => {
+    const graphic = { type: 'object', properties: { alt: { type: 'string' } } }
+    const schemas = await Octopus.convertSchema({
+      $ref: 'http://localhost/plugins/content/component/model.schema',
+      properties: { _graphic: graphic, _feedback: { type: 'object', properties: { _graphic: graphic } } }
+    }, { inputId: 'test', factorDefs: true, logger })
+
+    const types = generateTypes(schemas, { inputId: 'test' })
+
+    assert.match(types, /export interface TestComponentGraphic \{/)
+    assert.match(types, /_graphic\?: TestComponentGraphic/)
+  })
+})
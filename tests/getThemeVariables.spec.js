@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import getThemeVariables from '../utils/getThemeVariables.js'
+
+describe('getThemeVariables', () => {
+  it('should list the leaves of the theme schema with their groups and defaults', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        _global: {
+          type: 'object',
+          title: 'Global',
+          properties: { 'font-color': { type: 'string', default: '#000' } }
+        },
+        'max-width': { type: 'string', default: '1440px' }
+      }
+    }
+    assert.deepEqual(getThemeVariables(schema), [
+      { name: 'font-color', group: 'Global', default: '#000' },
+      { name: 'max-width', group: undefined, default: '1440px' }
+    ])
+  })
+})
@@ -0,0 +1,14 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import isObject from '../utils/isObject.js'
+
+describe('isObject', () => {
+  it('should accept plain objects', () => {
+    assert.equal(isObject({}), true)
+    assert.equal(isObject({ a: 1 }), true)
+  })
+
+  it('should reject arrays, null and primitives', () => {
+    for (const value of [[], null, undefined, 'a', 1, true]) assert.equal(isObject(value), false)
+  })
+})
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import listTranslatableFields from '../utils/listTranslatableFields.js'
+import Octopus from '../lib/Octopus.js'
+
+const logger = { log: () => {} }
+
+describe('listTranslatableFields', () => {
+  it('should list translatable fields for each content type, wildcarding arrays', async () => {
+    const schemas = await Octopus.convertSchema({
+      properties: {
+        pluginLocations: {
+          type: 'object',
+          properties: {
+            course: {
+              type: 'object',
+              properties: { _test: { type: 'object', properties: { title: { type: 'string', translatable: true } } } }
+            },
+            article: {
+              type: 'object',
+              properties: {
+                _test: {
+                  type: 'object',
+                  properties: {
+                    _items: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          title: { type: 'string', translatable: true },
+                          _isEnabled: { type: 'boolean' },
+                          _graphic: { type: 'object', properties: { alt: { type: 'string', translatable: true } } }
+                        }
+                      }
+                    },
+                    labels: { type: 'array', items: { type: 'string', translatable: true } }
+                  }
+                }
+              }
+            },
+            block: {
+              type: 'object',
+              properties: { _test: { type: 'object', properties: { _isEnabled: { type: 'boolean' } } } }
+            }
+          }
+        }
+      },
+      globals: { ariaLabel: { type: 'string', default: 'Test', translatable: true } }
+    }, { inputId: 'test', logger })
+
+    assert.deepEqual(listTranslatableFields(schemas), {
+      course: ['_test.title'],
+      _globals: ['_test.ariaLabel'],
+      article: ['_test._items[*].title', '_test._items[*]._graphic.alt', '_test.labels[*]']
+    })
+  })
+
+  it('should follow $refs to factored $defs', async () => {
+    const graphic = { type: 'object', properties: { alt: { type: 'string', translatable: true } } }
+    const schemas = await Octopus.convertSchema({
+      $ref: 'http://localhost/plugins/content/component/model.schema',
+      properties: { _graphic: graphic, _feedback: { type: 'object', properties: { _graphic: graphic } } }
+    }, { inputId: 'test', factorDefs: true, logger })
+
+    assert.deepEqual(listTranslatableFields(schemas), { component: ['_graphic.alt', '_feedback._graphic.alt'] })
+  })
+
+  it('should return an empty manifest if nothing is translatable', () => {
+    assert.deepEqual(listTranslatableFields({ component: { type: 'object', properties: { _isEnabled: { type: 'boolean' } } } }), {})
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFileSync, mkdirSync, rmSync } from 'node:fs'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import loadConfig from '../utils/loadConfig.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const testDir = join(__dirname, 'temp-config-data')
+
+describe('loadConfig', () => {
+  before(() => {
+    rmSync(testDir, { recursive: true, force: true })
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should return an empty config if there is none', async () => {
+    const cwd = join(testDir, 'none')
+    mkdirSync(cwd)
+    assert.deepEqual(await loadConfig(cwd), {})
+  })
+
+  it('should read .octopusrc.json', async () => {
+    const cwd = join(testDir, 'rc')
+    mkdirSync(cwd)
+    writeFileSync(join(cwd, '.octopusrc.json'), JSON.stringify({ writeStrategy: 'merge' }))
+    writeFileSync(join(cwd, 'package.json'), JSON.stringify({ octopus: { writeStrategy: 'overwrite' } }))
+    assert.deepEqual(await loadConfig(cwd), { writeStrategy: 'merge' })
+  })
+
+  it('should fall back to the octopus key in package.json', async () => {
+    const cwd = join(testDir, 'package')
+    mkdirSync(cwd)
+    writeFileSync(join(cwd, 'package.json'), JSON.stringify({ name: 'adapt_framework', octopus: { outputDir: 'json' } }))
+    assert.deepEqual(await loadConfig(cwd), { outputDir: 'json' })
+  })
+
+  it('should throw on invalid JSON', async () => {
+    const cwd = join(testDir, 'invalid')
+    mkdirSync(cwd)
+    writeFileSync(join(cwd, '.octopusrc.json'), '{')
+    await assert.rejects(() => loadConfig(cwd), /Failed to parse .*\.octopusrc\.json/)
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import matchesType from '../utils/matchesType.js'
+
+describe('matchesType', () => {
+  it('should match values against JSON schema types', () => {
+    assert.equal(matchesType('a', 'string'), true)
+    assert.equal(matchesType(1.5, 'number'), true)
+    assert.equal(matchesType(1.5, 'integer'), false)
+    assert.equal(matchesType(false, 'boolean'), true)
+    assert.equal(matchesType({}, 'object'), true)
+    assert.equal(matchesType([], 'object'), false)
+    assert.equal(matchesType([], 'array'), true)
+    assert.equal(matchesType(null, 'null'), true)
+    assert.equal(matchesType('5', 'number'), false)
+  })
+
+  it('should treat objectid as a string', () => {
+    assert.equal(matchesType('5f1d', 'objectid'), true)
+    assert.equal(matchesType(5, 'objectid'), false)
+  })
+
+  it('should match anything against unknown types', () => {
+    assert.equal(matchesType('a', 'foo'), true)
+  })
+})
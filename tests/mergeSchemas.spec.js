@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import mergeSchemas from '../utils/mergeSchemas.js'
+
+describe('mergeSchemas', () => {
+  it('should add newly converted properties', () => {
+    const result = mergeSchemas(
+      { type: 'object', properties: { title: { type: 'string' } } },
+      { type: 'object', required: ['body'], properties: { title: { type: 'string' }, body: { type: 'string' } } }
+    )
+    assert.deepEqual(Object.keys(result.properties), ['title', 'body'])
+    assert.deepEqual(result.required, ['body'])
+  })
+
+  it('should update changed defaults', () => {
+    const result = mergeSchemas(
+      { properties: { title: { type: 'string', default: 'Old' } } },
+      { properties: { title: { type: 'string', default: 'New' } } }
+    )
+    assert.equal(result.properties.title.default, 'New')
+  })
+
+  it('should keep hand-added keywords', () => {
+    const result = mergeSchemas(
+      {
+        $defs: { item: { type: 'object' } },
+        properties: {
+          title: { type: 'string', description: 'Custom', _backboneForms: { type: 'TextArea', rows: 3 } }
+        }
+      },
+      { properties: { title: { type: 'string', description: 'Generated', _backboneForms: 'TextArea' } } }
+    )
+    assert.deepEqual(result.$defs, { item: { type: 'object' } })
+    assert.equal(result.properties.title.description, 'Custom')
+    assert.deepEqual(result.properties.title._backboneForms, { type: 'TextArea', rows: 3 })
+  })
+
+  it('should keep properties which are no longer converted', () => {
+    const result = mergeSchemas(
+      { properties: { custom: { type: 'string' } } },
+      { properties: { title: { type: 'string' } } }
+    )
+    assert.deepEqual(Object.keys(result.properties), ['custom', 'title'])
+  })
+
+  it('should merge inside $merge/$patch wrappers and items', () => {
+    const result = mergeSchemas(
+      { $patch: { source: { $ref: 'course' }, with: { properties: { _items: { type: 'array', items: { properties: {} } } } } } },
+      { $patch: { source: { $ref: 'course' }, with: { properties: { _items: { type: 'array', items: { properties: { title: { type: 'string' } } } } } } } }
+    )
+    assert.deepEqual(result.$patch.with.properties._items.items.properties, { title: { type: 'string' } })
+  })
+
+  it('should not modify its arguments', () => {
+    const existing = { properties: { title: { default: 'Old' } } }
+    mergeSchemas(existing, { properties: { title: { default: 'New' }, body: {} } })
+    assert.deepEqual(existing, { properties: { title: { default: 'Old' } } })
+  })
+})
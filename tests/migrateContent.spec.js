@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import migrateContent from '../utils/migrateContent.js'
+
+const schema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', default: '' },
+    _isRound: { type: 'boolean', default: false },
+    _columns: { type: 'number', default: 2 },
+    _graphic: {
+      type: 'object',
+      default: {},
+      properties: { alt: { type: 'string', default: '' } }
+    },
+    _items: {
+      type: 'array',
+      items: { type: 'object', properties: { _score: { type: 'number', default: 0 } } }
+    },
+    _optional: { type: 'object', properties: { label: { type: 'string', default: 'Label' } } }
+  }
+}
+
+describe('migrateContent', () => {
+  it('should add missing defaults, including those of nested objects', () => {
+    const { content, changes } = migrateContent({ _id: 'c-05', title: 'Hello' }, schema)
+
+    assert.deepEqual(content, { _id: 'c-05', title: 'Hello', _isRound: false, _columns: 2, _graphic: { alt: '' } })
+    assert.deepEqual(changes.map(c => [c.action, c.path]), [
+      ['added', '_isRound'],
+      ['added', '_columns'],
+      ['added', '_graphic'],
+      ['added', '_graphic.alt']
+    ])
+  })
+
+  it('should add defaults to array items', () => {
+    const { content, changes } = migrateContent({ _items: [{ _score: 1 }, {}] }, schema)
+
+    assert.deepEqual(content._items, [{ _score: 1 }, { _score: 0 }])
+    assert.ok(changes.some(c => c.path === '_items[1]._score' && c.action === 'added'))
+  })
+
+  it('should coerce simple type mismatches', () => {
+    const { content, changes } = migrateContent({ title: 5, _isRound: 'true', _columns: '3' }, schema)
+
+    assert.equal(content.title, '5')
+    assert.equal(content._isRound, true)
+    assert.equal(content._columns, 3)
+    assert.deepEqual(changes.find(c => c.path === '_columns'), { path: '_columns', action: 'coerced', value: 3, previous: '3' })
+  })
+
+  it('should leave values which cannot be coerced, reporting them', () => {
+    const { content, changes } = migrateContent({ _columns: 'two' }, schema)
+
+    assert.equal(content._columns, 'two')
+    assert.deepEqual(changes.find(c => c.path === '_columns'), { path: '_columns', action: 'mismatched', value: 'two', expected: 'number' })
+  })
+
+  it('should not modify the original content', () => {
+    const original = { _items: [{}] }
+    migrateContent(original, schema)
+    assert.deepEqual(original, { _items: [{}] })
+  })
+})
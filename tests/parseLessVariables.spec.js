@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import parseLessVariables from '../utils/parseLessVariables.js'
+
+describe('parseLessVariables', () => {
+  it('should read top-level variable declarations', () => {
+    const less = '@font-color: #000;\n@font-size : 16px; @link: darken(@font-color, 10%);\n'
+    assert.deepEqual(parseLessVariables(less), { 'font-color': '#000', 'font-size': '16px', link: 'darken(@font-color, 10%)' })
+  })
+
+  it('should ignore comments, imports and variables scoped to rulesets', () => {
+    const less = [
+      '// @commented: 1;',
+      '/* @block-commented: 2; */',
+      '@import "mixins";',
+      '.btn { @scoped: 3; color: red; }',
+      '@media (min-width: 100px) { .x { @nested: 4; } }',
+      '@image: url(http://example.com/a.png); // a comment'
+    ].join('\n')
+    assert.deepEqual(parseLessVariables(less), { image: 'url(http://example.com/a.png)' })
+  })
+})
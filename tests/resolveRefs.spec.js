@@ -0,0 +1,65 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFileSync, mkdirSync, rmSync } from 'node:fs'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import resolveRefs from '../utils/resolveRefs.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const testDir = join(__dirname, 'temp-refs-data')
+const filePath = join(testDir, 'plugin', 'properties.schema')
+
+describe('resolveRefs', () => {
+  before(() => {
+    rmSync(testDir, { recursive: true, force: true })
+    mkdirSync(join(testDir, 'plugin'), { recursive: true })
+    mkdirSync(join(testDir, 'shared'), { recursive: true })
+    writeFileSync(join(testDir, 'plugin', 'graphic.json'), JSON.stringify({
+      type: 'object',
+      properties: { alt: { $ref: 'shared.json#/definitions/text' } }
+    }))
+    writeFileSync(join(testDir, 'shared', 'shared.json'), JSON.stringify({
+      definitions: { text: { type: 'string', default: '', translatable: true } }
+    }))
+    writeFileSync(join(testDir, 'plugin', 'loop.json'), JSON.stringify({ $ref: 'loop.json' }))
+  })
+
+  after(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  it('should leave remote refs alone', async () => {
+    const schema = { $ref: 'http://localhost/plugins/content/component/model.schema', properties: {} }
+    assert.deepEqual(await resolveRefs(schema, { filePath }), schema)
+  })
+
+  it('should inline refs within the schema, letting sibling keywords win', async () => {
+    const schema = {
+      definitions: { text: { type: 'string', title: 'Text' } },
+      properties: { body: { $ref: '#/definitions/text', title: 'Body' } }
+    }
+    const { properties } = await resolveRefs(schema, { filePath })
+    assert.deepEqual(properties.body, { type: 'string', title: 'Body' })
+  })
+
+  it('should inline refs to sibling files and fragment directories', async () => {
+    const schema = { properties: { _graphic: { $ref: 'graphic.json' } } }
+    const { properties } = await resolveRefs(schema, { filePath, fragmentDirs: [join(testDir, 'shared')] })
+    assert.deepEqual(properties._graphic.properties.alt, { type: 'string', default: '', translatable: true })
+  })
+
+  it('should not modify the original schema', async () => {
+    const schema = { properties: { body: { $ref: '#/definitions/text' } }, definitions: { text: { type: 'string' } } }
+    await resolveRefs(schema, { filePath })
+    assert.deepEqual(schema.properties.body, { $ref: '#/definitions/text' })
+  })
+
+  it('should throw on unresolvable refs', async () => {
+    await assert.rejects(() => resolveRefs({ $ref: 'missing.json' }, { filePath }), /Unable to resolve \$ref missing\.json/)
+    await assert.rejects(() => resolveRefs({ $ref: '#/definitions/missing' }, { filePath }), /\/definitions\/missing not found/)
+  })
+
+  it('should throw on circular refs', async () => {
+    await assert.rejects(() => resolveRefs({ $ref: 'loop.json' }, { filePath }), /Circular \$ref loop\.json/)
+  })
+})
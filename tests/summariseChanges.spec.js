@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import summariseChanges from '../utils/summariseChanges.js'
+
+const wrap = properties => ({ $merge: { source: { $ref: 'component' }, with: { properties } } })
+
+describe('summariseChanges', () => {
+  it('should return empty lists when nothing changed', () => {
+    const schema = wrap({ title: { type: 'string' } })
+    assert.deepEqual(summariseChanges(schema, structuredClone(schema)), { added: [], removed: [], changed: [] })
+  })
+
+  it('should list added and removed properties', () => {
+    const result = summariseChanges(
+      wrap({ title: { type: 'string' } }),
+      wrap({ body: { type: 'string' } })
+    )
+    assert.deepEqual(result, { added: ['body'], removed: ['title'], changed: [] })
+  })
+
+  it('should list properties with changed keywords once', () => {
+    const result = summariseChanges(
+      wrap({ title: { type: 'string', default: 'a', title: 'A' } }),
+      wrap({ title: { type: 'string', default: 'b', title: 'B' } })
+    )
+    assert.deepEqual(result, { added: [], removed: [], changed: ['title'] })
+  })
+
+  it('should wildcard array items in property paths', () => {
+    const result = summariseChanges(
+      wrap({ _items: { type: 'array', items: { properties: {} } } }),
+      wrap({ _items: { type: 'array', items: { properties: { title: { type: 'string' } } } } })
+    )
+    assert.deepEqual(result.added, ['_items[*].title'])
+  })
+})
@@ -0,0 +1,16 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import unwrap from '../utils/unwrap.js'
+
+describe('unwrap', () => {
+  it('should return the with schema of a $merge or $patch', () => {
+    const inner = { properties: { title: { type: 'string' } } }
+    assert.equal(unwrap({ $merge: { source: { $ref: 'content' }, with: inner } }), inner)
+    assert.equal(unwrap({ $patch: { source: { $ref: 'course' }, with: inner } }), inner)
+  })
+
+  it('should return other schemas as they are', () => {
+    const schema = { type: 'object', properties: {} }
+    assert.equal(unwrap(schema), schema)
+  })
+})
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import validateSchema from '../utils/validateSchema.js'
+
+const wrap = properties => ({
+  $anchor: 'test-component',
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object',
+  $merge: {
+    source: { $ref: 'component' },
+    with: { properties }
+  }
+})
+
+describe('validateSchema', () => {
+  it('should return no errors for a valid schema', () => {
+    const errors = validateSchema(wrap({
+      title: { type: 'string', default: '', _adapt: { translatable: true }, _backboneForms: 'TextArea' },
+      _graphic: { type: 'objectid', isObjectId: true, _backboneForms: { type: 'Asset', media: 'image' } }
+    }))
+    assert.deepEqual(errors, [])
+  })
+
+  it('should report meta-schema errors with a JSON pointer', () => {
+    const errors = validateSchema(wrap({ title: { type: 'text' } }))
+    assert.ok(errors.some(e => e.path.startsWith('/$merge/with/properties/title') && e.message.includes('meta-schema')))
+  })
+
+  it('should report a default that does not match the type', () => {
+    const errors = validateSchema(wrap({ count: { type: 'number', default: '1' } }))
+    assert.deepEqual(errors, [{ path: '/$merge/with/properties/count', message: 'default "1" does not match type number' }])
+  })
+
+  it('should report enum values that do not match the type or default', () => {
+    const errors = validateSchema(wrap({ layout: { type: 'string', enum: ['left', 1], default: 'top' } }))
+    assert.deepEqual(errors.map(e => e.message), [
+      'enum value 1 does not match type string',
+      'default "top" is not one of the enum values'
+    ])
+  })
+
+  it('should report objectid types without isObjectId', () => {
+    const errors = validateSchema(wrap({ _graphic: { type: 'objectid' } }))
+    assert.deepEqual(errors.map(e => e.message), ['type objectid requires isObjectId to be true'])
+  })
+
+  it('should report unknown _adapt options', () => {
+    const errors = validateSchema(wrap({ title: { type: 'string', _adapt: { translate: true } } }))
+    assert.deepEqual(errors.map(e => e.message), ['_adapt.translate is not a recognised option'])
+  })
+
+  it('should report invalid _backboneForms options', () => {
+    const errors = validateSchema(wrap({ title: { type: 'string', _backboneForms: { validators: 'email' } } }))
+    assert.deepEqual(errors.map(e => e.message), ['_backboneForms.validators must be an array'])
+  })
+
+  it('should report malformed $merge and $patch wrappers', () => {
+    const errors = validateSchema({ type: 'object', $patch: { source: 'course', with: {} } })
+    assert.deepEqual(errors.map(e => e.message), ['$patch.source must be an object with a $ref'])
+  })
+
+  it('should report required properties that are not defined', () => {
+    const errors = validateSchema({ type: 'object', required: ['body'], properties: {} })
+    assert.deepEqual(errors.map(e => e.message), ['required property body is not defined in properties'])
+  })
+})
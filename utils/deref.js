@@ -0,0 +1,5 @@
+// inlines structures factored out into $defs
+export default function deref (schema, defs) {
+  const name = schema.$ref?.match(/^#\/\$defs\/(.+)$/)?.[1]
+  return name && defs[name] ? { ...defs[name], ...schema } : schema
+};
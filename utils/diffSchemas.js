@@ -0,0 +1,24 @@
+import isObject from './isObject.js'
+
+export default function diffSchemas (expected, actual, path = []) {
+  if (!isObject(expected) || !isObject(actual)) {
+    if (JSON.stringify(expected) === JSON.stringify(actual)) return []
+    return [{ path: path.join('.'), kind: 'changed', expected, actual }]
+  }
+  const differences = []
+
+  for (const [key, value] of Object.entries(expected)) {
+    if (!Object.hasOwn(actual, key)) {
+      differences.push({ path: [...path, key].join('.'), kind: 'added', expected: value })
+      continue
+    }
+    differences.push(...diffSchemas(value, actual[key], [...path, key]))
+  }
+
+  for (const [key, value] of Object.entries(actual)) {
+    if (Object.hasOwn(expected, key)) continue
+    differences.push({ path: [...path, key].join('.'), kind: 'removed', actual: value })
+  }
+
+  return differences
+};
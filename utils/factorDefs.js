@@ -0,0 +1,78 @@
+import isObject from './isObject.js'
+import unwrap from './unwrap.js'
+
+// annotations which may differ between copies, so are kept alongside each $ref
+const ANNOTATIONS = ['title', 'description', 'default']
+
+const sortKeys = value => {
+  if (Array.isArray(value)) return value.map(sortKeys)
+  if (!isObject(value)) return value
+  return Object.keys(value).sort().reduce((a, key) => ({ ...a, [key]: sortKeys(value[key]) }), {})
+}
+
+const getStructure = node => {
+  const structure = { ...node }
+  ANNOTATIONS.forEach(key => delete structure[key])
+  return structure
+}
+
+// lists every object subtree reachable through properties and items, with a way to replace it
+function collect (node, name, replace, nodes) {
+  if (!isObject(node)) return
+  if (isObject(node.properties) && Object.keys(node.properties).length) {
+    const structure = getStructure(node)
+    const signature = JSON.stringify(sortKeys(structure))
+    nodes.push({ node, name, replace, signature, structure })
+  }
+  for (const [key, child] of Object.entries(isObject(node.properties) ? node.properties : {})) {
+    collect(child, key, value => { node.properties[key] = value }, nodes)
+  }
+  if (isObject(node.items)) collect(node.items, `${name}-item`, value => { node.items = value }, nodes)
+}
+
+// $defs end up in schemas shared with other plugins, so are named after the plugin
+function getDefName (name, defs, inputId) {
+  if (inputId) name = `${inputId}-${name}`
+  let defName = name
+  for (let i = 2; Object.hasOwn(defs, defName); i++) defName = `${name}-${i}`
+  return defName
+}
+
+export default function factorDefs (schema, { inputId, minOccurrences = 2 } = {}) {
+  const output = structuredClone(schema)
+  const inner = unwrap(output)
+  const defs = { ...inner.$defs }
+
+  for (;;) {
+    const nodes = []
+    collect(inner, '', () => {}, nodes)
+    Object.entries(defs).forEach(([key, def]) => collect(def, key, () => {}, nodes))
+
+    // the schema and existing definitions are never replaced themselves
+    const roots = [inner, ...Object.values(defs)]
+    const groups = Object.values(nodes.reduce((a, entry) => {
+      if (!roots.includes(entry.node)) (a[entry.signature] ||= []).push(entry)
+      return a
+    }, {}))
+    // factor the largest repeated structure first, so its nested copies go with it
+    const repeated = groups
+      .filter(group => group.length >= minOccurrences)
+      .sort((a, b) => b[0].signature.length - a[0].signature.length)[0]
+
+    if (!repeated) break
+
+    const defName = getDefName(repeated[0].name, defs, inputId)
+    defs[defName] = repeated[0].structure
+
+    for (const { node, replace } of repeated) {
+      const annotations = ANNOTATIONS.reduce((a, key) => {
+        if (Object.hasOwn(node, key)) a[key] = node[key]
+        return a
+      }, {})
+      replace({ $ref: `#/$defs/${defName}`, ...annotations })
+    }
+  }
+  if (Object.keys(defs).length) inner.$defs = defs
+
+  return output
+};
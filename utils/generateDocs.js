@@ -0,0 +1,63 @@
+import { EOL } from 'os'
+import deref from './deref.js'
+import isObject from './isObject.js'
+import unwrap from './unwrap.js'
+
+function getType (schema, defs) {
+  const type = [schema.type].flat().filter(Boolean).join(' | ') || 'any'
+  const items = isObject(schema.items) && deref(schema.items, defs)
+
+  return items?.type ? `${type} of ${items.type}` : type
+}
+
+function getSummary (schema, isRequired, defs) {
+  const details = [`\`${getType(schema, defs)}\``]
+
+  if (schema.default !== undefined && !isObject(schema.default) && !(Array.isArray(schema.default) && !schema.default.length)) {
+    details.push(`default \`${JSON.stringify(schema.default)}\``)
+  }
+  if (Array.isArray(schema.enum)) details.push(`one of ${schema.enum.map(v => `\`${JSON.stringify(v)}\``).join(', ')}`)
+  if (isRequired) details.push('required')
+
+  return `(${details.join(', ')})`
+}
+
+function listProperties (schema, defs, depth = 0) {
+  const required = schema.required || []
+
+  return Object.entries(schema.properties || {}).flatMap(([key, child]) => {
+    child = deref(child, defs)
+    const description = child.description ? `: ${child.description}` : ''
+    const line = `${'  '.repeat(depth)}- **${key}** ${getSummary(child, required.includes(key), defs)}${description}`
+    const items = isObject(child.items) ? deref(child.items, defs) : {}
+
+    return [line, ...listProperties(isObject(child.properties) ? child : items, defs, depth + 1)]
+  })
+}
+
+const toSection = (heading, lines) => [heading, ...(lines.length ? ['', ...lines] : [])].join(EOL)
+
+export default function generateDocs (outputSchemas) {
+  const attributes = []
+  const locations = []
+  const globals = []
+
+  for (const [type, schema] of Object.entries(outputSchemas)) {
+    const inner = unwrap(schema)
+    const defs = inner.$defs || {}
+    const { _globals, ...properties } = inner.properties || {}
+
+    for (const [key, globalsSchema] of Object.entries(_globals?.properties || {})) {
+      globals.push(toSection(`### Globals${EOL}${EOL}Set in \`course.json\` under \`_globals.${key}\`.`, listProperties(globalsSchema, defs)))
+    }
+    if (!Object.keys(properties).length) continue
+
+    const lines = listProperties({ ...inner, properties }, defs)
+    type === 'component'
+      ? attributes.push(toSection('### Attributes', lines))
+      : locations.push(toSection(`#### ${type}`, lines))
+  }
+  if (locations.length) locations.unshift('### Plugin locations')
+
+  return [...attributes, ...locations, ...globals].join(EOL + EOL) + EOL
+};
@@ -0,0 +1,71 @@
+import deref from './deref.js'
+import isObject from './isObject.js'
+import unwrap from './unwrap.js'
+
+function getPlaceholder (schema, key) {
+  if (schema.isObjectId) return ''
+
+  switch ([schema.type].flat()[0]) {
+    case 'string':
+      return schema.enum?.[0] ?? `<${key}>`
+    case 'number':
+    case 'integer':
+      return schema.enum?.[0] ?? 0
+    case 'boolean':
+      return false
+    case 'array':
+      return []
+    case 'object':
+      return {}
+    default:
+      return null
+  }
+}
+
+function getValue (schema, key, defs) {
+  schema = deref(schema, defs)
+  if (isObject(schema.properties)) {
+    return { ...(isObject(schema.default) ? schema.default : {}), ...getProperties(schema, defs) }
+  }
+  const items = schema.items && deref(schema.items, defs)
+  if (schema.type === 'array' && isObject(items?.properties) && !schema.default?.length) {
+    return [getValue(items, key, defs)]
+  }
+  if (schema.default !== undefined) return schema.default
+
+  return getPlaceholder(schema, key)
+}
+
+function getProperties (schema, defs = schema.$defs || {}) {
+  return Object.entries(schema.properties || {}).reduce((a, [key, child]) => {
+    a[key] = getValue(child, key, defs)
+    return a
+  }, {})
+}
+
+export default function generateExample (outputSchemas, { inputId } = {}) {
+  const example = {}
+
+  for (const [type, schema] of Object.entries(outputSchemas)) {
+    const properties = getProperties(unwrap(schema))
+
+    if (type === 'component') {
+      example.component = {
+        _id: 'c-05',
+        _parentId: 'b-05',
+        _type: 'component',
+        _component: inputId,
+        _classes: '',
+        _layout: 'full',
+        ...properties
+      }
+      continue
+    }
+    if (Object.keys(properties).length) example[type] = properties
+  }
+  // components only need their own content object, unless they also define globals
+  const types = Object.keys(example)
+  if (types.length === 1 && types[0] === 'component') return example.component
+
+  return example
+};
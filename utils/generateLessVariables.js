@@ -0,0 +1,18 @@
+import { EOL } from 'os'
+
+const toValue = value => value === '' ? '~""' : String(value)
+
+export default function generateLessVariables (variables) {
+  const lines = ['// generated by adapt-octopus from the theme\'s JSON schema']
+  let group
+
+  for (const variable of variables) {
+    if (variable.default === undefined) continue
+    if (variable.group !== group) {
+      group = variable.group
+      lines.push('', `// ${group || 'Variables'}`)
+    }
+    lines.push(`@${variable.name}: ${toValue(variable.default)};`)
+  }
+  return lines.join(EOL) + EOL
+};
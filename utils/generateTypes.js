@@ -0,0 +1,82 @@
+import { EOL } from 'os'
+import isObject from './isObject.js'
+import unwrap from './unwrap.js'
+
+const INDENT = '  '
+
+const toPascalCase = value => value.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join('')
+
+const toKey = key => /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? key : `'${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`
+
+const toLiteral = value => typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'` : JSON.stringify(value)
+
+function getType (schema, depth, names) {
+  const ref = schema.$ref?.match(/^#\/\$defs\/(.+)$/)?.[1]
+  if (ref && names.defs[ref]) return names.defs[ref]
+
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum.map(toLiteral).join(' | ')
+
+  switch ([schema.type].flat()[0]) {
+    case 'string':
+      return 'string'
+    case 'number':
+    case 'integer':
+      return 'number'
+    case 'boolean':
+      return 'boolean'
+    case 'array':
+      return `Array<${isObject(schema.items) ? getType(schema.items, depth, names) : 'unknown'}>`
+    case 'object':
+      return isObject(schema.properties) ? getObjectType(schema, depth, names) : 'Record<string, unknown>'
+  }
+  return 'unknown'
+}
+
+function getObjectType (schema, depth, names) {
+  const indent = INDENT.repeat(depth + 1)
+  const required = schema.required || []
+  const lines = Object.entries(schema.properties).flatMap(([key, child]) => {
+    const optional = required.includes(key) ? '' : '?'
+    const comment = child.description ? [`${indent}/** ${child.description.replace(/\*\//g, '* /')} */`] : []
+
+    return [...comment, `${indent}${toKey(key)}${optional}: ${getType(child, depth + 1, names)}`]
+  })
+  if (!lines.length) return '{}'
+
+  return ['{', ...lines, `${INDENT.repeat(depth)}}`].join(EOL)
+}
+
+function getDeclaration (name, schema, names) {
+  return isObject(schema.properties)
+    ? `export interface ${name} ${getObjectType(schema, 0, names)}`
+    : `export type ${name} = ${getType(schema, 0, names)}`
+}
+
+export default function generateTypes (outputSchemas, { inputId } = {}) {
+  const prefix = toPascalCase(inputId || '')
+  const declarations = [`// generated by adapt-octopus from the ${inputId} JSON schemas`]
+
+  for (const [type, schema] of Object.entries(outputSchemas)) {
+    const inner = unwrap(schema)
+    const typePrefix = `${prefix}${toPascalCase(type)}`
+    const names = { defs: {} }
+
+    for (const key of Object.keys(inner.$defs || {})) {
+      // definitions are named after the plugin, which is already in the prefix
+      const name = inputId && key.startsWith(`${inputId}-`) ? key.slice(inputId.length + 1) : key
+      names.defs[key] = `${typePrefix}${toPascalCase(name)}`
+    }
+    for (const [key, def] of Object.entries(inner.$defs || {})) declarations.push(getDeclaration(names.defs[key], def, names))
+
+    const { _globals, ...properties } = inner.properties || {}
+
+    for (const globals of Object.values(_globals?.properties || {})) {
+      declarations.push(getDeclaration(`${prefix}Globals`, globals, names))
+    }
+    if (!Object.keys(properties).length) continue
+
+    // only the attributes the plugin adds, not the core attributes of the content type
+    declarations.push(getDeclaration(`${typePrefix}Properties`, { ...inner, properties }, names))
+  }
+  return declarations.join(EOL + EOL) + EOL
+};
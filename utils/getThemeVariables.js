@@ -0,0 +1,18 @@
+import isObject from './isObject.js'
+import unwrap from './unwrap.js'
+
+// theme variables are the leaves of the schema, optionally grouped into objects
+function collect (schema, group, variables) {
+  for (const [key, child] of Object.entries(isObject(schema.properties) ? schema.properties : {})) {
+    if (isObject(child.properties)) {
+      collect(child, child.title || key, variables)
+      continue
+    }
+    variables.push({ name: key, group, default: child.default })
+  }
+  return variables
+}
+
+export default function getThemeVariables (themeSchema) {
+  return collect(unwrap(themeSchema), undefined, [])
+};
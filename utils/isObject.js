@@ -0,0 +1,3 @@
+export default function isObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+};
@@ -0,0 +1,33 @@
+import deref from './deref.js'
+import isObject from './isObject.js'
+import unwrap from './unwrap.js'
+
+function collect (schema, path, defs, fields) {
+  schema = deref(schema, defs)
+  if (path && schema._adapt?.translatable) fields.push(path)
+
+  if (isObject(schema.items)) collect(schema.items, `${path}[*]`, defs, fields)
+
+  for (const [key, child] of Object.entries(isObject(schema.properties) ? schema.properties : {})) {
+    collect(child, path ? `${path}.${key}` : key, defs, fields)
+  }
+  return fields
+}
+
+export default function listTranslatableFields (outputSchemas) {
+  const manifest = {}
+
+  for (const [type, schema] of Object.entries(outputSchemas)) {
+    const inner = unwrap(schema)
+    const defs = inner.$defs || {}
+    const { _globals, ...properties } = inner.properties || {}
+    const fields = collect({ properties }, '', defs, [])
+
+    if (fields.length) manifest[type] = fields
+    if (!_globals) continue
+
+    const globals = collect(_globals, '', defs, [])
+    if (globals.length) manifest._globals = [...(manifest._globals || []), ...globals]
+  }
+  return manifest
+};
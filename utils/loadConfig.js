@@ -0,0 +1,24 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+const readJson = async filePath => {
+  let json
+  try {
+    json = await fs.readFile(filePath, 'utf8')
+  } catch (e) {
+    return
+  }
+  try {
+    return JSON.parse(json)
+  } catch (e) {
+    throw (new Error(`Failed to parse ${filePath}, ${e.message}`))
+  }
+}
+
+export default async function loadConfig (cwd) {
+  const rc = await readJson(path.join(cwd, '.octopusrc.json'))
+  if (rc) return rc
+
+  const packageJson = await readJson(path.join(cwd, 'package.json'))
+  return packageJson?.octopus || {}
+};
@@ -0,0 +1,23 @@
+import isObject from './isObject.js'
+
+// unknown types match anything, leaving them for others to interpret
+export default function matchesType (value, type) {
+  switch (type) {
+    case 'objectid':
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+      return typeof value === 'number'
+    case 'integer':
+      return Number.isInteger(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'object':
+      return isObject(value)
+    case 'array':
+      return Array.isArray(value)
+    case 'null':
+      return value === null
+  }
+  return true
+};
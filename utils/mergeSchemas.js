@@ -0,0 +1,36 @@
+import isObject from './isObject.js'
+
+export default function mergeSchemas (existing, generated) {
+  if (!isObject(existing) || !isObject(generated)) return existing
+
+  const merged = { ...existing }
+
+  if (Object.hasOwn(generated, 'default')) merged.default = generated.default
+
+  for (const keyword of ['$merge', '$patch']) {
+    if (!isObject(existing[keyword]) || !isObject(generated[keyword])) continue
+    merged[keyword] = { ...existing[keyword], with: mergeSchemas(existing[keyword].with, generated[keyword].with) }
+  }
+
+  if (isObject(existing.items) && isObject(generated.items)) {
+    merged.items = mergeSchemas(existing.items, generated.items)
+  }
+
+  if (isObject(generated.properties)) {
+    const properties = { ...existing.properties }
+    const required = [...(existing.required || [])]
+
+    for (const [key, value] of Object.entries(generated.properties)) {
+      if (Object.hasOwn(properties, key)) {
+        properties[key] = mergeSchemas(properties[key], value)
+        continue
+      }
+      properties[key] = value
+      if (generated.required?.includes(key) && !required.includes(key)) required.push(key)
+    }
+    merged.properties = properties
+    if (required.length) merged.required = required
+  }
+
+  return merged
+};
@@ -0,0 +1,64 @@
+import isObject from './isObject.js'
+import matchesType from './matchesType.js'
+
+// only conversions which can't lose information are attempted
+function coerce (value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+      break
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN
+      if (!Number.isNaN(number) && matchesType(number, type)) return number
+      break
+    }
+    case 'boolean':
+      if (value === 'true' || value === 'false') return value === 'true'
+      break
+  }
+}
+
+const joinPath = (path, key) => path ? `${path}.${key}` : key
+
+function migrateNode (value, schema, path, changes) {
+  const type = [schema.type].flat()[0]
+
+  if (value !== undefined && type && !matchesType(value, type)) {
+    const coerced = coerce(value, type)
+    if (coerced === undefined) {
+      changes.push({ path, action: 'mismatched', value, expected: type })
+      return value
+    }
+    changes.push({ path, action: 'coerced', value: coerced, previous: value })
+    value = coerced
+  }
+  if (Array.isArray(value) && isObject(schema.items)) {
+    return value.map((item, i) => migrateNode(item, schema.items, `${path}[${i}]`, changes))
+  }
+  if (isObject(value) && isObject(schema.properties)) {
+    return migrateProperties(value, schema, path, changes)
+  }
+  return value
+}
+
+function migrateProperties (content, schema, path, changes) {
+  const migrated = { ...content }
+
+  for (const [key, child] of Object.entries(schema.properties)) {
+    const childPath = joinPath(path, key)
+
+    if (migrated[key] === undefined) {
+      if (child.default === undefined) continue
+      migrated[key] = structuredClone(child.default)
+      changes.push({ path: childPath, action: 'added', value: migrated[key] })
+    }
+    migrated[key] = migrateNode(migrated[key], child, childPath, changes)
+  }
+  return migrated
+}
+
+export default function migrateContent (content, schema) {
+  const changes = []
+  return { content: migrateProperties(content, schema, '', changes), changes }
+};
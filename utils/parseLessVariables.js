@@ -0,0 +1,17 @@
+// line comments can't follow a colon, so urls such as http:// are kept
+const COMMENTS = /\/\*[\s\S]*?\*\/|(?<!:)\/\/.*$/gm
+
+// only top-level declarations are read, so variables scoped to rulesets and mixins are ignored
+export default function parseLessVariables (less) {
+  const variables = {}
+  let depth = 0
+
+  for (const statement of less.replace(COMMENTS, '').split(/(?<=[;{}])/)) {
+    const match = depth === 0 && statement.match(/^\s*@([\w-]+)\s*:\s*([^;{}]*?)\s*;$/)
+    if (match) variables[match[1]] = match[2]
+
+    if (statement.endsWith('{')) depth++
+    if (statement.endsWith('}')) depth = Math.max(depth - 1, 0)
+  }
+  return variables
+};
@@ -0,0 +1,70 @@
+import fs from 'fs/promises'
+import path from 'path'
+import isObject from './isObject.js'
+
+// only pointers and JSON files are resolved, leaving remote refs such as the framework's model
+// schemas and named Adapt schemas (e.g. the source of a $merge) for others to interpret
+const isLocal = ref => {
+  if (typeof ref !== 'string') return false
+  if (ref.startsWith('#')) return true
+  return !/^[a-z][a-z0-9+.-]*:/i.test(ref) && path.extname(ref.split('#')[0]) !== ''
+}
+
+function getPointer (doc, pointer, ref, filePath) {
+  return pointer.split('/').slice(1).reduce((node, segment) => {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')
+    if ((!isObject(node) && !Array.isArray(node)) || !Object.hasOwn(node, key)) {
+      throw (new Error(`Unable to resolve $ref ${ref} in ${filePath}, ${pointer} not found`))
+    }
+    return node[key]
+  }, doc)
+}
+
+async function readFragment (file, { filePath, fragmentDirs, cache }) {
+  for (const dir of [path.dirname(filePath), ...fragmentDirs]) {
+    const fragmentPath = path.resolve(dir, file)
+    if (!cache.has(fragmentPath)) {
+      let json
+      try {
+        json = await fs.readFile(fragmentPath, 'utf8')
+      } catch (e) {
+        if (e.code === 'ENOENT') continue
+        throw e
+      }
+      try {
+        cache.set(fragmentPath, JSON.parse(json))
+      } catch (e) {
+        throw (new Error(`Failed to parse ${fragmentPath}, ${e.message}`))
+      }
+    }
+    return { doc: cache.get(fragmentPath), filePath: fragmentPath }
+  }
+}
+
+async function resolve (node, context, stack) {
+  if (Array.isArray(node)) return Promise.all(node.map(child => resolve(child, context, stack)))
+  if (!isObject(node)) return node
+
+  const { $ref, ...siblings } = node
+  const resolved = {}
+
+  for (const [key, value] of Object.entries(isLocal($ref) ? siblings : node)) {
+    resolved[key] = await resolve(value, context, stack)
+  }
+  if (!isLocal($ref)) return resolved
+
+  const [file, pointer = ''] = $ref.split('#')
+  const target = file ? await readFragment(file, context) : context
+  if (!target) throw (new Error(`Unable to resolve $ref ${$ref} in ${context.filePath}`))
+
+  const id = `${target.filePath}#${pointer}`
+  if (stack.includes(id)) throw (new Error(`Circular $ref ${$ref} in ${context.filePath}`))
+
+  const fragment = await resolve(getPointer(target.doc, pointer, $ref, context.filePath), { ...context, ...target }, [...stack, id])
+  // keywords alongside the $ref refine the shared definition
+  return isObject(fragment) ? { ...fragment, ...resolved } : fragment
+}
+
+export default async function resolveRefs (schema, { filePath, fragmentDirs = [] } = {}) {
+  return resolve(schema, { doc: schema, filePath, fragmentDirs, cache: new Map() }, [])
+};
@@ -0,0 +1,40 @@
+import diffSchemas from './diffSchemas.js'
+
+const WRAPPERS = ['$merge', '$patch', 'with']
+
+// maps a diffSchemas path onto the content property it belongs to, e.g.
+// $merge.with.properties._items.items.properties.title.default => { path: '_items[*].title', isNode: false }
+function toPropertyPath (schemaPath) {
+  const segments = schemaPath.split('.')
+  const propertyPath = []
+  let isNode = false
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i]
+    isNode = false
+    if (WRAPPERS.includes(segment)) continue
+    if (segment === 'properties' && i + 1 < segments.length) {
+      propertyPath.push(segments[++i])
+      isNode = true
+      continue
+    }
+    if (segment === 'items') {
+      propertyPath.push('[*]')
+      continue
+    }
+    break
+  }
+  return { path: propertyPath.join('.').replace(/\.\[\*\]/g, '[*]'), isNode }
+}
+
+export default function summariseChanges (previous, next) {
+  const summary = { added: [], removed: [], changed: [] }
+
+  for (const { path: schemaPath, kind } of diffSchemas(next, previous)) {
+    const { path, isNode } = toPropertyPath(schemaPath)
+    const list = isNode && kind !== 'changed' ? summary[kind] : summary.changed
+
+    if (path && !list.includes(path)) list.push(path)
+  }
+  return summary
+};
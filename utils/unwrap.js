@@ -0,0 +1,4 @@
+// the schema a $merge or $patch adds to its source, which is where properties and $defs live
+export default function unwrap (schema) {
+  return schema.$merge?.with || schema.$patch?.with || schema
+};
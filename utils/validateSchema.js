@@ -0,0 +1,106 @@
+import Ajv2020 from 'ajv/dist/2020.js'
+import isObject from './isObject.js'
+import matchesType from './matchesType.js'
+
+const ajv = new Ajv2020({ allErrors: true })
+
+const ADAPT_OPTIONS = ['editorOnly', 'isSetting', 'translatable']
+
+// the meta-schema knows nothing of the Adapt objectid type, which is a string flagged with isObjectId
+const toStandardTypes = schema => JSON.parse(JSON.stringify(schema), (key, value) => {
+  return key === 'type' && value === 'objectid' ? 'string' : value
+})
+
+function validateNode (node, pointer, errors) {
+  if (!isObject(node)) return
+  const error = message => errors.push({ path: pointer, message })
+
+  const types = [node.type].flat().filter(Boolean)
+
+  if (node.type === 'objectid' && node.isObjectId !== true) {
+    error('type objectid requires isObjectId to be true')
+  }
+  if (node.isObjectId !== undefined && node.isObjectId !== true) {
+    error('isObjectId must be true when set')
+  }
+  if (node.default !== undefined && types.length && !types.some(t => matchesType(node.default, t))) {
+    error(`default ${JSON.stringify(node.default)} does not match type ${types.join(', ')}`)
+  }
+  if (Array.isArray(node.enum)) {
+    if (!node.enum.length) error('enum must not be empty')
+    if (new Set(node.enum.map(v => JSON.stringify(v))).size !== node.enum.length) error('enum must not contain duplicate values')
+    for (const value of node.enum) {
+      if (types.length && !types.some(t => matchesType(value, t))) {
+        error(`enum value ${JSON.stringify(value)} does not match type ${types.join(', ')}`)
+      }
+    }
+    if (node.default !== undefined && !node.enum.some(v => JSON.stringify(v) === JSON.stringify(node.default))) {
+      error(`default ${JSON.stringify(node.default)} is not one of the enum values`)
+    }
+  }
+  if (node._adapt !== undefined) {
+    if (!isObject(node._adapt)) {
+      error('_adapt must be an object')
+    } else {
+      for (const [key, value] of Object.entries(node._adapt)) {
+        if (!ADAPT_OPTIONS.includes(key)) error(`_adapt.${key} is not a recognised option`)
+        else if (typeof value !== 'boolean') error(`_adapt.${key} must be a boolean`)
+      }
+    }
+  }
+  if (node._backboneForms !== undefined) {
+    const options = node._backboneForms
+    if (typeof options !== 'string' && !isObject(options)) {
+      error('_backboneForms must be a string or an object')
+    } else if (isObject(options)) {
+      const editor = options.type
+      if (editor !== undefined && typeof editor !== 'string' && !(isObject(editor) && typeof editor.type === 'string')) {
+        error('_backboneForms.type must be a string or an object with a type')
+      }
+      if (options.validators !== undefined && !Array.isArray(options.validators)) {
+        error('_backboneForms.validators must be an array')
+      }
+    }
+  }
+  if (node.required !== undefined && Array.isArray(node.required) && isObject(node.properties)) {
+    for (const key of node.required) {
+      if (!Object.hasOwn(node.properties, key)) error(`required property ${key} is not defined in properties`)
+    }
+  }
+  for (const keyword of ['$merge', '$patch']) {
+    if (node[keyword] === undefined) continue
+    const { source, with: inner } = node[keyword]
+    if (!isObject(source) || typeof source.$ref !== 'string') {
+      error(`${keyword}.source must be an object with a $ref`)
+    }
+    if (!isObject(inner)) {
+      error(`${keyword}.with must be an object`)
+      continue
+    }
+    validateMetaSchema(inner, `${pointer}/${keyword}/with`, errors)
+    validateNode(inner, `${pointer}/${keyword}/with`, errors)
+  }
+  if (isObject(node.properties)) {
+    for (const [key, child] of Object.entries(node.properties)) {
+      validateNode(child, `${pointer}/properties/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`, errors)
+    }
+  }
+  if (isObject(node.items)) validateNode(node.items, `${pointer}/items`, errors)
+  if (isObject(node.$defs)) {
+    for (const [key, def] of Object.entries(node.$defs)) validateNode(def, `${pointer}/$defs/${key}`, errors)
+  }
+}
+
+function validateMetaSchema (schema, pointer, errors) {
+  if (ajv.validateSchema(toStandardTypes(schema))) return
+  for (const { instancePath, message } of ajv.errors) {
+    errors.push({ path: pointer + instancePath, message: `${message} (meta-schema)` })
+  }
+}
+
+export default function validateSchema (schema) {
+  const errors = []
+  validateMetaSchema(schema, '', errors)
+  validateNode(schema, '', errors)
+  return errors
+};